@@ -0,0 +1,46 @@
+module.exports = {
+  root: true,
+  env: {
+    es2022: true,
+    node: true,
+  },
+  parserOptions: {
+    "ecmaVersion": 2022,
+    "sourceType": "module",
+  },
+  extends: [
+    "eslint:recommended",
+    "google",
+  ],
+  rules: {
+    "no-restricted-globals": ["error", "name", "length"],
+    "prefer-arrow-callback": "error",
+    "quotes": ["error", "double", {"allowTemplateLiterals": true}],
+    // The sources are formatted Prettier style: spaces inside braces,
+    // trailing commas and operators at the start of wrapped lines
+    "indent": "off",
+    "object-curly-spacing": ["error", "always"],
+    "comma-dangle": "off",
+    "operator-linebreak": "off",
+    // Log messages and URLs are kept on one line, so they can be searched
+    "max-len": ["error", {
+      "code": 80,
+      "ignoreStrings": true,
+      "ignoreTemplateLiterals": true,
+      "ignoreUrls": true,
+      "ignoreRegExpLiterals": true,
+    }],
+    "require-jsdoc": "off",
+    "valid-jsdoc": "off",
+  },
+  overrides: [
+    {
+      files: ["test/**/*.js"],
+      env: {
+        mocha: true,
+      },
+      rules: {},
+    },
+  ],
+  globals: {},
+};
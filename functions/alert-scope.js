@@ -0,0 +1,107 @@
+import { BudgetServiceClient } from "@google-cloud/billing-budgets";
+import { ProjectsClient } from "@google-cloud/resource-manager";
+import { listBillingAccountProjects } from "./budget.js";
+
+const budgetClient = new BudgetServiceClient();
+const projectsClient = new ProjectsClient();
+
+// Scopes for the projects a budget alert applies to
+export const SCOPE_INSTALLED = "installed";
+export const SCOPE_BUDGET = "budget";
+
+/**
+ * Parses a comma separated list of project IDs
+ * @param {String} config e.g. `shop-prod,shop-staging`
+ * @returns {String[]} the project IDs
+ */
+export const parseProjectList = (config) => {
+  if (typeof config !== "string") return [];
+  return config
+    .split(",")
+    .map((projectId) => projectId.trim())
+    .filter((projectId) => projectId.length > 0);
+};
+
+/**
+ * Applies the allow and deny lists to the projects in scope. Denied
+ *  projects are never touched, and when the allow list is not empty,
+ *  only the projects on it are
+ * @param {String[]} projectIds in scope of the budget
+ * @param {object} lists
+ * @param {String[]} lists.allow projects which may be touched
+ * @param {String[]} lists.deny projects which must never be touched
+ * @returns {String[]} the projects to apply the strategy to
+ */
+export const filterProjects = (projectIds, { allow = [], deny = [] } = {}) =>
+  projectIds.filter(
+    (projectId) =>
+      !deny.includes(projectId) &&
+      (allow.length === 0 || allow.includes(projectId))
+  );
+
+/**
+ * Looks up the projects within the scope of a budget. Budgets without a
+ *  project filter cover every project on the billing account
+ * @param {String} billingAccountId e.g. 000000-000000-000000
+ * @param {String} budgetId the budget which sent the alert
+ * @returns {Promise<String[]>} IDs of the projects in scope
+ */
+export const getBudgetProjects = async (billingAccountId, budgetId) => {
+  const [budget] = await budgetClient.getBudget({
+    name: budgetClient.budgetPath(billingAccountId, budgetId),
+  });
+
+  // The filter lists project numbers, e.g. projects/123456789012
+  const projectNames = budget.budgetFilter?.projects ?? [];
+  if (projectNames.length === 0) {
+    return listBillingAccountProjects(billingAccountId);
+  }
+
+  const projectIds = [];
+  for (const name of projectNames) {
+    const [project] = await projectsClient.getProject({ name });
+    projectIds.push(project.projectId);
+  }
+  return projectIds;
+};
+
+/**
+ * Resolves the projects a budget alert applies to. With the installed
+ *  scope, or when the budget can not be looked up, this is the project
+ *  the extension is installed in
+ * @param {object} notification returned by parseBudgetNotification
+ * @returns {Promise<String[]>} the projects to apply the strategy to
+ */
+export const getAlertProjects = async (notification) => {
+  const ownProjectId = process.env.GCLOUD_PROJECT;
+  const lists = {
+    allow: parseProjectList(process.env.PROJECT_ALLOW_LIST),
+    deny: parseProjectList(process.env.PROJECT_DENY_LIST),
+  };
+
+  let projectIds = [ownProjectId];
+  if (process.env.ALERT_PROJECT_SCOPE === SCOPE_BUDGET) {
+    try {
+      projectIds = await getBudgetProjects(
+        notification.billingAccountId,
+        notification.budgetId
+      );
+    } catch (error) {
+      console.error(
+        `❌ Failed to look up the projects of budget ${notification.budgetId}, falling back to ${ownProjectId}:`,
+        error
+      );
+    }
+  }
+
+  const allowed = filterProjects(projectIds, lists);
+  const skipped = projectIds.filter(
+    (projectId) => !allowed.includes(projectId)
+  );
+  if (skipped.length > 0) {
+    console.log(
+      `ℹ️ Skipping projects excluded by the allow/deny lists: ${skipped}`
+    );
+  }
+  return allowed;
+};
@@ -0,0 +1,29 @@
+import moment from "moment-timezone";
+
+// NOTE: Google uses Pacific Time to calculate the billing
+// period for all customers, regardless of their time zone.
+export const BILLING_TIMEZONE = "America/Los_Angeles";
+
+/**
+ * @param {Date|string|number} [date] - Any point in time, defaults to now.
+ * @returns {moment.Moment} The start of the billing period containing `date`.
+ */
+export const getBillingPeriodStart = (date = new Date()) =>
+  moment(date).tz(BILLING_TIMEZONE).startOf("month");
+
+/**
+ * A stable identifier for the billing period containing `date`, used to
+ * reset per-period state when a new billing period starts.
+ *
+ * @param {Date|string|number} [date] - Any point in time, defaults to now.
+ * @returns {string} The period start as an ISO 8601 UTC timestamp.
+ */
+export const getBillingPeriodKey = (date = new Date()) =>
+  getBillingPeriodStart(date).toISOString();
+
+/**
+ * @param {Date|string|number} [date] - Any point in time, defaults to now.
+ * @returns {moment.Moment} The start of the next billing period.
+ */
+export const getBillingPeriodEnd = (date = new Date()) =>
+  getBillingPeriodStart(date).add(1, "month");
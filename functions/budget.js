@@ -1,24 +1,103 @@
 import { CloudBillingClient } from "@google-cloud/billing";
+import { hasPermission } from "./resource-validation.js";
+import { withRetry } from "./retry.js";
 
-//Creates billing client
+// Creates billing client
 const billingClient = new CloudBillingClient();
 
 /**
  * Given a project ID, disables billing for the project by
- *  setting the billing account to an empty string
+ *  setting the billing account to an empty string. Transient errors
+ *  are retried
  * @param {String} projectId for the Firebase project
+ * @param {object} options
+ * @param {boolean} options.dryRun report the call instead of making it
+ * @returns {Promise<object|undefined>} the planned call in a dry run
  */
-export const disableBillingForProject = async (projectId) => {
-  console.log(`🚨📢 Disabling billing for ${projectId}...`);
+export const disableBillingForProject = async (
+  projectId,
+  { dryRun = false } = {}
+) => {
   const projectName = `projects/${projectId}`;
+  if (dryRun) {
+    const permission = "resourcemanager.projects.deleteBillingAssignment";
+    const allowed = await hasPermission(projectId, permission);
+    console.log(
+      `🧪 DRY RUN: would disable billing for ${projectId} (IAM ${permission}: ${allowed ? "allowed" : "DENIED"})`
+    );
+    return {
+      call: "cloudbilling.projects.updateBillingInfo",
+      target: projectName,
+      options: { billingAccountName: "" },
+      permission,
+      allowed,
+    };
+  }
+
+  console.log(`🚨📢 Disabling billing for ${projectId}...`);
   const billingInfo = {
     name: projectName,
     billingAccountName: "", // An empty string disables billing
   };
 
+  await withRetry(
+    () =>
+      billingClient.updateProjectBillingInfo({
+        name: projectName,
+        projectBillingInfo: billingInfo,
+      }),
+    { name: `Disabling billing for ${projectId}` }
+  );
+  console.log(`🚨📢 Billing disabled for ${projectId}`);
+};
+
+/**
+ * Given a project ID and billing account, links the billing
+ *  account to the project
+ * @param {String} projectId for the Firebase project
+ * @param {String} billingAccountName e.g. billingAccounts/000000-000000-000000
+ */
+export const enableBillingForProject = async (
+  projectId,
+  billingAccountName,
+) => {
+  console.log(`ℹ️ Linking ${billingAccountName} to ${projectId}...`);
+  const projectName = `projects/${projectId}`;
+
   await billingClient.updateProjectBillingInfo({
     name: projectName,
-    projectBillingInfo: billingInfo,
+    projectBillingInfo: {
+      name: projectName,
+      billingAccountName,
+    },
   });
-  console.log(`🚨📢 Billing disabled for ${projectId}`);
+  console.log(`✅ Billing enabled for ${projectId}`);
+};
+
+/**
+ * Given a project ID, returns the linked billing account
+ * @param {String} projectId for the Firebase project
+ * @returns {Promise<String>} the billing account name, or an empty
+ *  string if billing is disabled
+ */
+export const getBillingAccountForProject = async (projectId) => {
+  const [billingInfo] = await billingClient.getProjectBillingInfo({
+    name: `projects/${projectId}`,
+  });
+  return billingInfo.billingAccountName ?? "";
+};
+
+/**
+ * Lists the projects linked to a billing account
+ * @param {String} billingAccountId e.g. 000000-000000-000000
+ * @returns {Promise<String[]>} IDs of the projects with billing enabled
+ */
+export const listBillingAccountProjects = async (billingAccountId) => {
+  const projectIds = [];
+  for await (const info of billingClient.listProjectBillingInfoAsync({
+    name: `billingAccounts/${billingAccountId}`,
+  })) {
+    if (info.billingEnabled) projectIds.push(info.projectId);
+  }
+  return projectIds;
 };
@@ -4,3 +4,7 @@ export const SERVICE_CLOUDFUNCTIONS = "cloudfunctions.googleapis.com";
 export const SERVICE_FIRESTORE = "firestore.googleapis.com";
 export const SERVICE_PUBSUB = "pubsub.googleapis.com";
 export const SERVICE_IDENTITYTOOLKIT = "identitytoolkit.googleapis.com";
+export const SERVICE_FIREBASESTORAGE = "firebasestorage.googleapis.com";
+export const SERVICE_FIREBASEHOSTING = "firebasehosting.googleapis.com";
+export const SERVICE_FIREBASEDATABASE = "firebasedatabase.googleapis.com";
+export const SERVICE_FIREBASEVERTEXAI = "firebasevertexai.googleapis.com";
@@ -0,0 +1,57 @@
+// Outcomes of a single disable step
+export const STEP_SUCCEEDED = "succeeded";
+export const STEP_FAILED = "failed";
+export const STEP_ALREADY_DISABLED = "already_disabled";
+
+/**
+ * Summarizes the results of the disable steps
+ * @param {object[]} results with a status, and whether the step is
+ *  critical to stop the spend
+ * @returns {{succeeded: number, failed: number, alreadyDisabled: number,
+ *  criticalFailures: object[]}} the summary
+ */
+export const summarizeResults = (results) => ({
+  succeeded: results.filter(({ status }) => status === STEP_SUCCEEDED).length,
+  failed: results.filter(({ status }) => status === STEP_FAILED).length,
+  alreadyDisabled: results.filter(
+    ({ status }) => status === STEP_ALREADY_DISABLED
+  ).length,
+  criticalFailures: results.filter(
+    ({ status, critical }) => status === STEP_FAILED && critical
+  ),
+});
+
+/**
+ * Logs the result of every disable step, and a summary
+ * @param {object[]} results of the disable steps, in order
+ */
+export const logDisableResults = (results) => {
+  if (results.length === 0) return;
+  results.forEach((step, i) => {
+    console.log(
+      `ℹ️   ${i + 1}. ${step.action} ${step.target}: ${step.status}${step.attempts > 1 ? ` after ${step.attempts} attempts` : ""}${step.error ? ` - ${step.error}` : ""}`
+    );
+  });
+  const { succeeded, failed, alreadyDisabled } = summarizeResults(results);
+  console.log(
+    `ℹ️ Disable steps: ${succeeded} succeeded, ${failed} failed, ${alreadyDisabled} already disabled`
+  );
+};
+
+/**
+ * Throws when a critical step failed, so the caller releases its claim
+ *  and the next alert can act again. The error is only retryable when a
+ *  failure was transient, a redelivered alert would hit a permanent
+ *  failure, e.g. a missing permission, the same way
+ * @param {object[]} results of the disable steps
+ */
+export const assertNoCriticalFailures = (results) => {
+  const { criticalFailures } = summarizeResults(results);
+  if (criticalFailures.length === 0) return;
+
+  const error = new Error(
+    `Critical disable steps failed: ${criticalFailures.map(({ action, target, error }) => `${action} ${target} (${error})`).join(", ")}`
+  );
+  error.retryable = criticalFailures.some(({ transient }) => transient);
+  throw error;
+};
@@ -0,0 +1,536 @@
+import { BudgetServiceClient } from "@google-cloud/billing-budgets";
+import { Timestamp } from "firebase-admin/firestore";
+import { getGrantedPermissions } from "./resource-validation.js";
+import { getBillingAccountForProject } from "./budget.js";
+import { topicExists } from "./pubsub.js";
+import { getStateDoc } from "./state.js";
+import {
+  getBudgetProjects,
+  parseProjectList,
+  filterProjects,
+  SCOPE_BUDGET,
+} from "./alert-scope.js";
+import { getMonitoredProjects } from "./monitoring/projects.js";
+import { sendNotification, EVENT_HEALTH_CHECK } from "./notifications.js";
+
+const budgetClient = new BudgetServiceClient();
+
+// State document holding the latest health check report
+const HEALTH_CHECK_STATE_DOC = "healthCheck";
+
+// Outcomes of a single check
+export const CHECK_PASSED = "passed";
+export const CHECK_FAILED = "failed";
+export const CHECK_SKIPPED = "skipped";
+
+const ROLE_SERVICE_USAGE_ADMIN =
+  "Grant Service Usage Admin (roles/serviceusage.serviceUsageAdmin) on the project";
+const ROLE_BILLING_PROJECT_MANAGER =
+  "Grant Project Billing Manager (roles/billing.projectManager) on the project";
+const ROLE_MONITORING_VIEWER =
+  "Grant Monitoring Viewer (roles/monitoring.viewer) on the project";
+const ROLE_BILLING_VIEWER =
+  "Grant Billing Account Viewer (roles/billing.viewer) on the billing account";
+const ROLE_PUBSUB_VIEWER =
+  "Grant Pub/Sub Viewer (roles/pubsub.viewer) on the project";
+const ROLE_PUBSUB_SUBSCRIBER =
+  "Grant Pub/Sub Subscriber (roles/pubsub.subscriber) on the project";
+const ROLE_FUNCTIONS_VIEWER =
+  "Grant Cloud Functions Viewer (roles/cloudfunctions.viewer) on the project";
+const ROLE_AUTH_VIEWER =
+  "Grant Firebase Authentication Viewer (roles/firebaseauth.viewer) on the project";
+
+/**
+ * @param {object} env the extension configuration, e.g. process.env
+ * @returns {boolean} true if the usage monitor runs
+ */
+const isMonitoring = (env) =>
+  env.MONITORING_ENABLED === "true" || env.MONITORING_ENABLED === "test";
+
+/**
+ * Lists the permissions the configured strategies and monitors need on
+ *  a project. Permissions for strategies which are not configured, or
+ *  which do not apply to the project, are skipped
+ * @param {object} env the extension configuration, e.g. process.env
+ * @param {object} roles of the project, all of them by default
+ * @param {boolean} roles.installed the extension is installed in it, and
+ *  receives the budget alerts through its topic
+ * @param {boolean} roles.monitored the usage monitor estimates its cost
+ * @param {boolean} roles.alerted budget alerts apply the strategies to it
+ * @returns {{permission: String, reason: String, remedy: String,
+ *  required: boolean}[]} the permissions to check
+ */
+export const getRequiredPermissions = (
+  env,
+  { installed = true, monitored = true, alerted = true } = {}
+) => {
+  const tiers = env.BUDGET_ACTION_TIERS ?? "";
+  const monitors = monitored && isMonitoring(env);
+  const strategyDisablesApis = Boolean(
+    env.DISABLE_API_LIST || /disable_apis|:disable(,|$)/.test(tiers)
+  );
+  const disablesApis =
+    ((alerted || monitors) && strategyDisablesApis) ||
+    (alerted && Boolean(env.FORECAST_DISABLE_API_LIST)) ||
+    (monitors &&
+      Boolean(env.MONITOR_SERVICE_BUDGETS || env.MONITOR_AUTH_COST_LIMIT));
+  const disablesBilling =
+    (alerted || monitors) &&
+    (env.DISABLE_BILLING !== "false" ||
+      /disable_billing|:disable(,|$)/.test(tiers));
+
+  return [
+    {
+      permission: "serviceusage.services.disable",
+      reason: "disable APIs",
+      remedy: ROLE_SERVICE_USAGE_ADMIN,
+      required: disablesApis,
+    },
+    {
+      permission: "serviceusage.services.list",
+      reason: "list the enabled APIs before disabling them",
+      remedy: ROLE_SERVICE_USAGE_ADMIN,
+      required: disablesApis,
+    },
+    {
+      permission: "resourcemanager.projects.deleteBillingAssignment",
+      reason: "disable billing",
+      remedy: ROLE_BILLING_PROJECT_MANAGER,
+      required: disablesBilling,
+    },
+    {
+      permission: "monitoring.timeSeries.list",
+      reason: "monitor usage",
+      remedy: ROLE_MONITORING_VIEWER,
+      required: monitors,
+    },
+    {
+      permission: "cloudfunctions.functions.list",
+      reason: "look up the memory tiers of gen 1 functions",
+      remedy: ROLE_FUNCTIONS_VIEWER,
+      required: monitors,
+    },
+    {
+      permission: "firebaseauth.users.get",
+      reason: "count the monthly active users of Identity Platform",
+      remedy: ROLE_AUTH_VIEWER,
+      required: monitors && env.MONITOR_AUTH_IDENTITY_PLATFORM === "true",
+    },
+    {
+      permission: "pubsub.topics.get",
+      reason: "look up the budget alert topic",
+      remedy: ROLE_PUBSUB_VIEWER,
+      required: installed,
+    },
+    {
+      permission: "pubsub.subscriptions.get",
+      reason: "receive the budget alerts through the trigger subscription",
+      remedy: ROLE_PUBSUB_SUBSCRIBER,
+      required: installed,
+    },
+    {
+      permission: "pubsub.subscriptions.consume",
+      reason: "receive the budget alerts through the trigger subscription",
+      remedy: ROLE_PUBSUB_SUBSCRIBER,
+      required: installed,
+    },
+  ];
+};
+
+/**
+ * Combines the projects the extension acts on with their roles
+ * @param {String} ownProjectId the project the extension is installed in
+ * @param {object} projects
+ * @param {String[]} projects.monitored projects the usage monitor covers
+ * @param {String[]} projects.alerted projects budget alerts apply to
+ * @returns {{projectId: String, installed: boolean, monitored: boolean,
+ *  alerted: boolean}[]} every project once, the own project first
+ */
+export const getProjectRoles = (ownProjectId, { monitored, alerted }) =>
+  [...new Set([ownProjectId, ...monitored, ...alerted])].map((projectId) => ({
+    projectId,
+    installed: projectId === ownProjectId,
+    monitored: monitored.includes(projectId),
+    alerted: alerted.includes(projectId),
+  }));
+
+/**
+ * @param {object[]} budgets as returned by the Budget API
+ * @param {String} topicPath e.g. projects/my-project/topics/my-topic
+ * @returns {String[]} IDs of the budgets which publish to the topic
+ */
+export const findWiredBudgets = (budgets, topicPath) =>
+  budgets
+    .filter((budget) => budget.notificationsRule?.pubsubTopic === topicPath)
+    .map((budget) => budget.name.split("/").pop());
+
+/**
+ * Builds the report from the individual checks
+ * @param {String} projectId for the Firebase project
+ * @param {{name: String, status: String, detail: String,
+ *  remedy?: String}[]} checks in the order they ran
+ * @returns {object} the report, ok when no check failed
+ */
+export const buildHealthReport = (projectId, checks) => {
+  const count = (status) =>
+    checks.filter((check) => check.status === status).length;
+  return {
+    projectId,
+    ok: count(CHECK_FAILED) === 0,
+    summary: {
+      passed: count(CHECK_PASSED),
+      failed: count(CHECK_FAILED),
+      skipped: count(CHECK_SKIPPED),
+    },
+    checks,
+  };
+};
+
+/**
+ * Checks the project permissions of the configured strategies and monitors
+ * @param {object} project returned by getProjectRoles
+ * @returns {Promise<object[]>} one check per permission
+ */
+const checkPermissions = async ({ projectId, ...roles }) => {
+  const permissions = getRequiredPermissions(process.env, roles);
+  const required = permissions
+    .filter((entry) => entry.required)
+    .map(({ permission }) => permission);
+
+  let granted = [];
+  let lookupError = null;
+  if (required.length > 0) {
+    try {
+      granted = await getGrantedPermissions(projectId, required);
+    } catch (error) {
+      lookupError = error;
+    }
+  }
+
+  return permissions.map(({ permission, reason, remedy, required }) => {
+    const name = roles.installed
+      ? `permission:${permission}`
+      : `permission:${permission} (${projectId})`;
+    if (!required) {
+      return {
+        name,
+        status: CHECK_SKIPPED,
+        detail: `Not needed, nothing is configured to ${reason}`,
+      };
+    }
+    if (lookupError) {
+      return {
+        name,
+        status: CHECK_FAILED,
+        detail: `Failed to test the permission: ${lookupError.message}`,
+        remedy,
+      };
+    }
+    return granted.includes(permission)
+      ? { name, status: CHECK_PASSED, detail: `Granted, needed to ${reason}` }
+      : {
+          name,
+          status: CHECK_FAILED,
+          detail: `Not granted, needed to ${reason}`,
+          remedy,
+        };
+  });
+};
+
+/**
+ * Checks that the billing account can be read, the budget resolves, and
+ *  the topic exists and receives the alerts of a budget
+ * @param {String} projectId for the Firebase project
+ * @returns {Promise<{checks: object[], billingAccountId: String|null,
+ *  wiredBudgetIds: String[]}>} the checks, in order, and the budgets
+ *  which publish to the topic
+ */
+const checkBillingAndTopic = async (projectId) => {
+  const checks = [];
+  const budgetId = process.env.MONITOR_BUDGET_ID;
+  const topicName = process.env.TOPIC_NAME;
+  const topicPath = `projects/${projectId}/topics/${topicName}`;
+
+  let billingAccountId = null;
+  try {
+    const billingAccountName = await getBillingAccountForProject(projectId);
+    billingAccountId = billingAccountName.split("/")[1] || null;
+    checks.push(
+      billingAccountId
+        ? {
+            name: "billing:read",
+            status: CHECK_PASSED,
+            detail: `Linked to billing account ${billingAccountId}`,
+          }
+        : {
+            name: "billing:read",
+            status: CHECK_FAILED,
+            detail: "Billing is not enabled for the project",
+            remedy: "Link a billing account, or restore the project",
+          }
+    );
+  } catch (error) {
+    checks.push({
+      name: "billing:read",
+      status: CHECK_FAILED,
+      detail: `Failed to read the billing info: ${error.message}`,
+      remedy: "Grant Browser (roles/browser) on the project",
+    });
+  }
+
+  if (!budgetId) {
+    checks.push({
+      name: "budget:resolve",
+      status: CHECK_SKIPPED,
+      detail: "No budget ID configured",
+    });
+  } else if (!billingAccountId) {
+    checks.push({
+      name: "budget:resolve",
+      status: CHECK_SKIPPED,
+      detail: "The billing account is unknown",
+    });
+  } else {
+    try {
+      await budgetClient.getBudget({
+        name: budgetClient.budgetPath(billingAccountId, budgetId),
+      });
+      checks.push({
+        name: "budget:resolve",
+        status: CHECK_PASSED,
+        detail: `Budget ${budgetId} found`,
+      });
+    } catch (error) {
+      checks.push({
+        name: "budget:resolve",
+        status: CHECK_FAILED,
+        detail: `Failed to read budget ${budgetId}: ${error.message}`,
+        remedy: `Check MONITOR_BUDGET_ID. ${ROLE_BILLING_VIEWER}`,
+      });
+    }
+  }
+
+  try {
+    checks.push(
+      (await topicExists(topicName))
+        ? {
+            name: "pubsub:topic",
+            status: CHECK_PASSED,
+            detail: `Topic ${topicName} exists`,
+          }
+        : {
+            name: "pubsub:topic",
+            status: CHECK_FAILED,
+            detail: `Topic ${topicName} does not exist`,
+            remedy: "Reinstall the extension to create the topic",
+          }
+    );
+  } catch (error) {
+    checks.push({
+      name: "pubsub:topic",
+      status: CHECK_FAILED,
+      detail: `Failed to look up topic ${topicName}: ${error.message}`,
+      remedy: "Grant Pub/Sub Viewer (roles/pubsub.viewer) on the project",
+    });
+  }
+
+  if (!billingAccountId) {
+    checks.push({
+      name: "pubsub:budget",
+      status: CHECK_SKIPPED,
+      detail: "The billing account is unknown",
+    });
+    return { checks, billingAccountId, wiredBudgetIds: [] };
+  }
+
+  let wired = [];
+  try {
+    const budgets = [];
+    for await (const budget of budgetClient.listBudgetsAsync({
+      parent: `billingAccounts/${billingAccountId}`,
+    })) {
+      budgets.push(budget);
+    }
+    wired = findWiredBudgets(budgets, topicPath);
+    checks.push(
+      wired.length > 0
+        ? {
+            name: "pubsub:budget",
+            status: CHECK_PASSED,
+            detail: `Budget alerts of ${wired.join(", ")} are published to ${topicName}`,
+          }
+        : {
+            name: "pubsub:budget",
+            status: CHECK_FAILED,
+            detail: `No budget publishes its alerts to ${topicName}`,
+            remedy: `Connect a budget to the topic ${topicPath} under Manage notifications`,
+          }
+    );
+  } catch (error) {
+    checks.push({
+      name: "pubsub:budget",
+      status: CHECK_FAILED,
+      detail: `Failed to list the budgets: ${error.message}`,
+      remedy: ROLE_BILLING_VIEWER,
+    });
+  }
+  return { checks, billingAccountId, wiredBudgetIds: wired };
+};
+
+/**
+ * Resolves the projects the usage monitor covers, and the projects the
+ *  budget alerts apply to, from the budgets publishing to the topic
+ * @param {String} projectId the project the extension is installed in
+ * @param {String|null} billingAccountId of the project
+ * @param {String[]} wiredBudgetIds budgets which publish to the topic
+ * @returns {Promise<{projects: object[], checks: object[]}>} the projects
+ *  returned by getProjectRoles, and the checks of the lookups
+ */
+const resolveProjectScope = async (
+  projectId,
+  billingAccountId,
+  wiredBudgetIds
+) => {
+  const checks = [];
+
+  let monitored = [];
+  if (isMonitoring(process.env)) {
+    try {
+      monitored = (await getMonitoredProjects(projectId)).map(
+        (project) => project.projectId
+      );
+      checks.push({
+        name: "projects:monitored",
+        status: CHECK_PASSED,
+        detail: `Monitoring ${monitored.length > 0 ? monitored.join(", ") : "no projects"}`,
+      });
+    } catch (error) {
+      monitored = [projectId];
+      checks.push({
+        name: "projects:monitored",
+        status: CHECK_FAILED,
+        detail: `Failed to resolve the monitored projects: ${error.message}`,
+        remedy: `Check MONITOR_PROJECTS. ${ROLE_BILLING_VIEWER}`,
+      });
+    }
+  }
+
+  let alerted = [projectId];
+  if (process.env.ALERT_PROJECT_SCOPE === SCOPE_BUDGET) {
+    if (wiredBudgetIds.length === 0) {
+      checks.push({
+        name: "projects:alerted",
+        status: CHECK_SKIPPED,
+        detail: "No budget publishes its alerts to the topic",
+      });
+    } else {
+      try {
+        const scoped = [];
+        for (const budgetId of wiredBudgetIds) {
+          scoped.push(...(await getBudgetProjects(billingAccountId, budgetId)));
+        }
+        alerted = [...new Set(scoped)];
+        checks.push({
+          name: "projects:alerted",
+          status: CHECK_PASSED,
+          detail: `Budget alerts apply to ${alerted.join(", ")}`,
+        });
+      } catch (error) {
+        checks.push({
+          name: "projects:alerted",
+          status: CHECK_FAILED,
+          detail: `Failed to resolve the projects of the budgets: ${error.message}`,
+          remedy: ROLE_BILLING_VIEWER,
+        });
+      }
+    }
+  }
+  alerted = filterProjects(alerted, {
+    allow: parseProjectList(process.env.PROJECT_ALLOW_LIST),
+    deny: parseProjectList(process.env.PROJECT_DENY_LIST),
+  });
+
+  return {
+    projects: getProjectRoles(projectId, { monitored, alerted }),
+    checks,
+  };
+};
+
+/**
+ * Logs every check, with the remedy of the failed ones
+ * @param {object} report returned by buildHealthReport
+ */
+const logHealthReport = (report) => {
+  const emoji = {
+    [CHECK_PASSED]: "✅",
+    [CHECK_FAILED]: "⛔",
+    [CHECK_SKIPPED]: "ℹ️",
+  };
+  report.checks.forEach(({ name, status, detail, remedy }) => {
+    const line = `${emoji[status]} ${name}: ${detail}${
+      remedy ? ` - ${remedy}` : ""
+    }`;
+    if (status === CHECK_FAILED) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  });
+  const { passed, failed, skipped } = report.summary;
+  console.log(
+    `🩺 Health check: ${passed} passed, ${failed} failed, ${skipped} skipped`
+  );
+};
+
+/**
+ * Checks everything the configured strategies and monitors need, in the
+ *  installed project and every project they act on, then logs, persists
+ *  and sends out the report. Never throws, as the report is the result
+ * @param {String} projectId for the Firebase project
+ * @returns {Promise<object>} the report
+ */
+export const runHealthCheck = async (projectId) => {
+  const billing = await checkBillingAndTopic(projectId);
+  const scope = await resolveProjectScope(
+    projectId,
+    billing.billingAccountId,
+    billing.wiredBudgetIds
+  );
+  const permissionChecks = [];
+  for (const project of scope.projects) {
+    permissionChecks.push(...(await checkPermissions(project)));
+  }
+  const report = buildHealthReport(projectId, [
+    ...permissionChecks,
+    ...billing.checks,
+    ...scope.checks,
+  ]);
+  logHealthReport(report);
+
+  try {
+    await getStateDoc(HEALTH_CHECK_STATE_DOC).set({
+      ...report,
+      checkedAt: Timestamp.now(),
+    });
+  } catch (error) {
+    console.error("❌ Failed to save the health check report:", error);
+  }
+
+  const failures = report.checks.filter(
+    ({ status }) => status === CHECK_FAILED
+  );
+  await sendNotification({
+    event: EVENT_HEALTH_CHECK,
+    title: report.ok
+      ? "Health check passed"
+      : `Health check failed ${failures.length} check(s)`,
+    message: report.ok
+      ? "Everything the configured strategies and monitors need is in place."
+      : failures
+          .map(({ name, detail, remedy }) => `${name}: ${detail}. ${remedy}`)
+          .join("\n"),
+    details: report,
+    projectId,
+  });
+  return report;
+};
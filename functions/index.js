@@ -3,10 +3,23 @@ import * as functions from "firebase-functions";
 import { initializeApp } from "firebase-admin/app";
 import { stopServices, installExtension } from "./service.js";
 import { monitorUsage } from "./monitoring/monitoring.js";
+import { executeRestore, executeAutoRestore } from "./restore.js";
+import { sendNotification, EVENT_FAILURE } from "./notifications.js";
+import { isRetryableError } from "./retry.js";
 
 // Initialize the Firebase Admin SDK
 initializeApp();
 
+/**
+ * Sends a failure notification for an error thrown by a function
+ */
+const notifyFailure = (title, error) =>
+  sendNotification({
+    event: EVENT_FAILURE,
+    title,
+    message: error?.message ?? String(error),
+  });
+
 /**
  * Extension Lifecycle: onInstall
  */
@@ -17,13 +30,22 @@ export const onInstallExtension = functions.tasks
   });
 
 /**
- * Triggered when a budget message is published to the topic.
+ * Triggered when a budget message is published to the topic. Only
+ * transient failures are rethrown, so the alert is redelivered; permanent
+ * ones would fail the same way on every redelivery.
  */
-export const stopTriggered = functions.pubsub
-  .topic(process.env.TOPIC_NAME)
+export const stopTriggered = functions
+  .runWith({ failurePolicy: true })
+  .pubsub.topic(process.env.TOPIC_NAME)
   .onPublish(async (message) => {
     console.log("ℹ️ Received budget alert message...");
-    await stopServices(message);
+    try {
+      await stopServices(message);
+    } catch (error) {
+      await notifyFailure("Handling the budget alert failed", error);
+      if (isRetryableError(error)) throw error;
+      console.error("❌ Not retrying the budget alert:", error);
+    }
   });
 
 /**
@@ -34,5 +56,43 @@ export const monitoring = functions.pubsub
   .schedule(process.env.MONITORING_SCHEDULE)
   .onRun(async () => {
     console.log("ℹ️ Usage monitor triggered...");
-    await monitorUsage();
+    try {
+      await monitorUsage();
+    } catch (error) {
+      await notifyFailure("Usage monitoring failed", error);
+      throw error;
+    }
+  });
+
+/**
+ * Restores the billing account and APIs recorded before the disable
+ * strategies ran. Dispatched manually through the task queue, with an
+ * optional `projectId` for projects monitored from this installation.
+ */
+export const restoreServices = functions.tasks
+  .taskQueue()
+  .onDispatch(async (data) => {
+    console.log("ℹ️ Restore requested...");
+    try {
+      await executeRestore({ projectId: data?.projectId || undefined });
+    } catch (error) {
+      await notifyFailure("Restoring services failed", error);
+      throw error;
+    }
+  });
+
+/**
+ * Restores projects stopped in an earlier billing period once the next
+ * Pacific-time month has begun. Opt-in through AUTO_RESTORE.
+ */
+export const autoRestore = functions.pubsub
+  .schedule("every 1 hours")
+  .onRun(async () => {
+    console.log("ℹ️ Auto-restore triggered...");
+    try {
+      await executeAutoRestore();
+    } catch (error) {
+      await notifyFailure("Auto-restoring services failed", error);
+      throw error;
+    }
   });
@@ -0,0 +1,224 @@
+import { getApps, initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { Timestamp } from "firebase-admin/firestore";
+import {
+  createRequest,
+  getMonitoringClient,
+  addToHourly,
+} from "./cloudMonitoring.js";
+import { log } from "firebase-functions/logger";
+import getPrice from "./getPrice.js";
+import { formatAmount } from "./currency.js";
+import {
+  getStateDoc,
+  getProjectStateDocId,
+  AUTH_MAU_STATE_DOC,
+} from "../state.js";
+
+// Only Identity Platform bills monthly active users, above the free
+// tier. The first paid tier is used for every paid user, see:
+// https://cloud.google.com/identity-platform/pricing
+const FREE_TIER_MONTHLY_ACTIVE_USERS = 50_000;
+const DEFAULT_COST_MONTHLY_ACTIVE_USER = 0.0055; // USD per MAU
+
+// SMS prices vary by destination country. Unlisted countries use the
+// default, which is deliberately on the high side.
+const DEFAULT_COST_SMS = 0.1; // USD per SMS
+const SMS_COUNTRY_UNKNOWN = "unknown";
+
+// Counting users pages through every account, so the count is stored
+// and reused for an hour
+const MAU_COUNT_TTL_MS = 60 * 60 * 1000;
+const LIST_USERS_PAGE_SIZE = 1000;
+
+/**
+ * Parses the per-country SMS prices, e.g. `US:0.01,IN:0.04`.
+ *
+ * @param {string} config - The MONITOR_AUTH_SMS_COSTS configuration.
+ * @returns {object} Price per SMS, keyed by ISO 3166 country code.
+ */
+export const parseSmsCosts = (config) => {
+  const costs = {};
+  if (typeof config !== "string" || config.trim().length === 0) return costs;
+
+  config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      const [country, costStr] = entry.split(":").map((part) => part.trim());
+      if (!/^[A-Za-z]{2}$/.test(country ?? "")) {
+        throw new Error(
+          `Invalid SMS cost "${entry}" - country must be a 2 letter country code.`,
+        );
+      }
+
+      const cost = parseFloat(costStr);
+      if (!isFinite(cost) || cost < 0) {
+        throw new Error(
+          `Invalid SMS cost "${entry}" - cost must be a non-negative number.`,
+        );
+      }
+      costs[country.toUpperCase()] = cost;
+    });
+
+  return costs;
+};
+
+/**
+ * @param {string} projectId - The monitored project.
+ * @returns {import("firebase-admin/auth").Auth} Authentication of the
+ * project, through a named app for projects other than the own project.
+ */
+const getProjectAuth = (projectId) => {
+  if (projectId === process.env.GCLOUD_PROJECT) return getAuth();
+  const app =
+    getApps().find(({ name }) => name === projectId) ??
+    initializeApp({ projectId }, projectId);
+  return getAuth(app);
+};
+
+/**
+ * @param {object|undefined} data - The stored count.
+ * @param {number} startOfMonthTs - Start of the billing period (seconds).
+ * @param {number} nowMs - The current time (milliseconds).
+ * @returns {boolean} True if the stored count can be reused.
+ */
+export const isFreshCount = (data, startOfMonthTs, nowMs) =>
+  data?.startOfMonthTs === startOfMonthTs &&
+  nowMs - data.countedAt.toMillis() < MAU_COUNT_TTL_MS;
+
+/**
+ * Counts the users who signed in, or refreshed their token, in the
+ * billing period.
+ *
+ * @param {string} projectId - The monitored project.
+ * @param {number} startOfMonthTs - Start of the billing period (seconds).
+ * @returns {Promise<number>} The monthly active users.
+ */
+const countMonthlyActiveUsers = async (projectId, startOfMonthTs) => {
+  const ref = getStateDoc(getProjectStateDocId(AUTH_MAU_STATE_DOC, projectId));
+  const stored = await ref.get();
+  if (isFreshCount(stored.data(), startOfMonthTs, Date.now())) {
+    return stored.data().count;
+  }
+
+  const startMs = startOfMonthTs * 1000;
+  const isActive = ({ metadata }) =>
+    [metadata.lastSignInTime, metadata.lastRefreshTime].some(
+      (time) => time && Date.parse(time) >= startMs,
+    );
+
+  let count = 0;
+  let pageToken;
+  do {
+    const page = await getProjectAuth(projectId).listUsers(
+      LIST_USERS_PAGE_SIZE,
+      pageToken,
+    );
+    count += page.users.filter(isActive).length;
+    pageToken = page.pageToken;
+  } while (pageToken);
+
+  await ref.set({ startOfMonthTs, count, countedAt: Timestamp.now() });
+  return count;
+};
+
+export const getAuthenticationCost = async (
+  projectId,
+  startOfMonthTs,
+  currency,
+) => {
+  const smsRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "firebaseauth.googleapis.com/phone_auth/phone_verification_count",
+  );
+
+  // Plain Firebase Authentication does not bill monthly active users,
+  // so they are only counted for Identity Platform
+  const identityPlatform =
+    process.env.MONITOR_AUTH_IDENTITY_PLATFORM === "true";
+  const [[smsResponse], monthlyActiveUsers] = await Promise.all([
+    getMonitoringClient().listTimeSeries(smsRequest),
+    identityPlatform
+      ? countMonthlyActiveUsers(projectId, startOfMonthTs)
+      : null,
+  ]);
+
+  const mauPrice = getPrice(
+    "Authentication monthly active user",
+    process.env.MONITOR_AUTH_MAU_COST,
+    DEFAULT_COST_MONTHLY_ACTIVE_USER,
+    0.0001,
+    0.1,
+    currency,
+  );
+  const defaultSmsPrice = getPrice(
+    "Authentication SMS",
+    process.env.MONITOR_AUTH_SMS_DEFAULT_COST,
+    DEFAULT_COST_SMS,
+    0.001,
+    1.0,
+    currency,
+  );
+  const smsPrices = parseSmsCosts(process.env.MONITOR_AUTH_SMS_COSTS);
+
+  log(`Authentication usage:`);
+
+  let mauCost = 0;
+  if (identityPlatform) {
+    const paidUsers = Math.max(
+      0,
+      monthlyActiveUsers - FREE_TIER_MONTHLY_ACTIVE_USERS,
+    );
+    mauCost = paidUsers * mauPrice;
+    log(
+      `  Monthly active users: ${monthlyActiveUsers}, ${paidUsers} paid @ ${mauPrice} ${currency.code}/MAU = ${formatAmount(mauCost, currency.code)}`,
+    );
+  }
+
+  const smsByCountry = {};
+  const hourlySmsCost = {};
+  smsResponse.forEach((entry) => {
+    const country =
+      entry?.metric?.labels?.country_code?.toUpperCase() || SMS_COUNTRY_UNKNOWN;
+    const price = smsPrices[country] ?? defaultSmsPrice;
+
+    entry.points.forEach((point) => {
+      if (point.value.int64Value === "0") return;
+      const count = parseInt(point.value.int64Value, 10);
+      if (!isFinite(count) || count < 0) {
+        throw new Error("Invalid SMS count - must be a positive number");
+      }
+
+      smsByCountry[country] ??= { count: 0, cost: 0 };
+      smsByCountry[country].count += count;
+      smsByCountry[country].cost += count * price;
+      addToHourly(hourlySmsCost, point, count * price);
+    });
+  });
+
+  let smsCost = 0;
+  Object.entries(smsByCountry).forEach(([country, { count, cost }]) => {
+    log(
+      `  SMS to ${country}: ${count} @ ${smsPrices[country] ?? defaultSmsPrice} ${currency.code} = ${formatAmount(cost, currency.code)}`,
+    );
+    smsCost += cost;
+  });
+
+  const totalCost = mauCost + smsCost;
+  log(`  Total Authentication Cost: ${formatAmount(totalCost, currency.code)}`);
+
+  return {
+    totalCost,
+    breakdown: {
+      monthlyActiveUsers: mauCost,
+      sms: smsCost,
+    },
+    monthlyActiveUsers,
+    smsByCountry,
+    // Active users are counted per month, not per hour
+    hourlyCost: hourlySmsCost,
+  };
+};
@@ -0,0 +1,101 @@
+const HOUR = 3600;
+
+const DEFAULT_TRAILING_HOURS = 24;
+
+/**
+ * Parses the per-service hourly spend ceilings, e.g. `firestore:5,hosting:2`.
+ *
+ * @param {string} config - The MONITOR_BURN_RATE_LIMITS configuration.
+ * @param {string[]} serviceKeys - The keys of the monitored services.
+ * @returns {object} Spend per hour ceiling, keyed by service.
+ */
+export const parseBurnRateLimits = (config, serviceKeys) => {
+  const limits = {};
+  if (typeof config !== "string" || config.trim().length === 0) return limits;
+
+  config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      const [key, limitStr] = entry.split(":").map((part) => part.trim());
+      if (!serviceKeys.includes(key)) {
+        throw new Error(
+          `Invalid burn rate limit "${entry}" - service must be one of: ${serviceKeys.join(", ")}.`,
+        );
+      }
+
+      const limit = parseFloat(limitStr);
+      if (!isFinite(limit) || limit <= 0) {
+        throw new Error(
+          `Invalid burn rate limit "${entry}" - limit must be a positive number.`,
+        );
+      }
+      limits[key] = limit;
+    });
+
+  return limits;
+};
+
+/**
+ * Calculates the current hourly burn rate of a service, and compares it
+ * with its hourly ceiling and its trailing average.
+ *
+ * The current rate is the highest of the last complete hour and the
+ * current (partial) hour, so a spike is caught as early as possible.
+ * The trailing average only covers the hours observed since the start
+ * of the billing period, so early hours are not diluted by hours
+ * without data.
+ *
+ * @param {object} params
+ * @param {object} params.hourlyCost - Cost per hour, keyed by the end of the
+ *   hour in seconds.
+ * @param {number} params.nowTs - The current time (seconds).
+ * @param {number} [params.periodStartTs] - Start of the billing period
+ *   (seconds).
+ * @param {number} [params.limit] - Spend per hour ceiling.
+ * @param {number} [params.spikeFactor] - How many times the trailing average
+ *   counts as a spike.
+ * @param {number} [params.trailingHours] - Hours used for the trailing average.
+ * @returns {{currentRate: number, trailingAverage: number,
+ *   limitExceeded: boolean, spike: boolean}} The burn rate.
+ */
+export const getBurnRate = ({
+  hourlyCost,
+  nowTs,
+  periodStartTs = -Infinity,
+  limit,
+  spikeFactor,
+  trailingHours = DEFAULT_TRAILING_HOURS,
+}) => {
+  const recentStartTs = nowTs - 2 * HOUR;
+  const trailingStartTs = Math.max(
+    recentStartTs - trailingHours * HOUR,
+    periodStartTs,
+  );
+  const observedHours = Math.max(0, (recentStartTs - trailingStartTs) / HOUR);
+
+  let currentRate = 0;
+  let trailingCost = 0;
+  Object.entries(hourlyCost).forEach(([hourStr, cost]) => {
+    const hour = Number(hourStr);
+    if (hour > recentStartTs) {
+      currentRate = Math.max(currentRate, cost);
+    } else if (hour > trailingStartTs) {
+      trailingCost += cost;
+    }
+  });
+
+  const trailingAverage = observedHours > 0 ? trailingCost / observedHours : 0;
+
+  return {
+    currentRate,
+    trailingAverage,
+    limitExceeded: limit > 0 && currentRate > limit,
+    // Without any trailing spend every increase would count as a spike
+    spike:
+      spikeFactor > 0 &&
+      trailingAverage > 0 &&
+      currentRate > trailingAverage * spikeFactor,
+  };
+};
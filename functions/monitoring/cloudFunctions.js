@@ -1,6 +1,14 @@
-import { createRequest, getMonitoringClient } from "./cloudMonitoring.js";
-import { log } from "firebase-functions/logger";
+import {
+  createRequest,
+  getMonitoringClient,
+  addToHourly,
+  toHourlyCost,
+  mergeHourly,
+} from "./cloudMonitoring.js";
+import { log, error } from "firebase-functions/logger";
+import { v1 } from "@google-cloud/functions";
 import getPrice from "./getPrice.js";
+import { formatAmount } from "./currency.js";
 
 // NOTE: Firebase pricing page says 200k/400k but typical
 // Cloud Run pricing is 180k/360k. I assume there
@@ -17,7 +25,83 @@ const DEFAULT_MEMORY_GB_SECOND_COST = 0.0000025; // USD per GiB-second
 const DEFAULT_EGRESS_BANDWIDTH_COST = 0.12; // USD per GB
 const DEFAULT_REQUEST_COST = 0.4; // USD per million requests
 
-export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
+// Gen 1 functions are billed per GB-second and GHz-second of execution
+// time, where the CPU clock depends on the memory tier. Invocations and
+// egress are priced like gen 2. See:
+// https://cloud.google.com/functions/pricing-1stgen
+const DEFAULT_GEN1_GB_SECOND_COST = 0.0000025; // USD per GB-second
+const DEFAULT_GEN1_GHZ_SECOND_COST = 0.00001; // USD per GHz-second
+
+// NOTE: Gen 1 shares the free tier with gen 2. The pricing page lists the
+// same 200k/400k allowance for both, in GHz-seconds for gen 1 and vCPU
+// seconds for gen 2, so every free vCPU second left by gen 2 covers one
+// gen 1 GHz-second.
+// https://firebase.google.com/pricing
+
+// Functions with an unknown memory tier are priced at the largest one,
+// so the cost is never understated
+const LARGEST_GEN1_MEMORY_MB = 8192;
+const GEN1_CPU_GHZ_BY_MEMORY_MB = {
+  128: 0.2,
+  256: 0.4,
+  512: 0.8,
+  1024: 1.4,
+  2048: 2.4,
+  4096: 4.8,
+  8192: 4.8,
+};
+
+let functionsClient;
+
+/**
+ * Looks up the memory tier of every gen 1 function in the project. The v1
+ * API only lists gen 1 functions.
+ *
+ * @param {string} projectId - The GCP project ID.
+ * @returns {Promise<object|null>} Memory in MB, keyed by `region/function`,
+ * or null if the functions could not be listed.
+ */
+const getGen1MemoryTiers = async (projectId) => {
+  functionsClient ??= new v1.CloudFunctionsServiceClient();
+  const tiers = {};
+  try {
+    const functions = functionsClient.listFunctionsAsync({
+      parent: `projects/${projectId}/locations/-`,
+    });
+    for await (const fn of functions) {
+      // projects/{project}/locations/{region}/functions/{function}
+      const [, , , region, , name] = fn.name.split("/");
+      tiers[`${region}/${name}`] = fn.availableMemoryMb;
+    }
+  } catch (e) {
+    error(
+      `Failed to list gen 1 functions, pricing every function at the ${LARGEST_GEN1_MEMORY_MB} MB memory tier:`,
+      e,
+    );
+    return null;
+  }
+  return tiers;
+};
+
+/**
+ * Splits usage into the part covered by the remaining free tier, and the
+ * paid part.
+ *
+ * @param {number} used - The usage this billing period.
+ * @param {number} freeLeft - The free tier not used by earlier usage.
+ * @returns {{paid: number, freeLeft: number}} The paid usage, and the
+ * free tier left afterwards.
+ */
+const applyFreeTier = (used, freeLeft) => ({
+  paid: Math.max(0, used - freeLeft),
+  freeLeft: Math.max(0, freeLeft - used),
+});
+
+export const getCloudFunctionsCost = async (
+  projectId,
+  startOfMonthTs,
+  currency,
+) => {
   const monitoringClient = getMonitoringClient();
 
   const cpuRequest = createRequest(
@@ -44,15 +128,47 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
     "run.googleapis.com/request_count",
   );
 
-  const [cpuResult, memResult, netResult, reqResult] = await Promise.all([
+  const gen1ExecutionTimesRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "cloudfunctions.googleapis.com/function/execution_times",
+  );
+
+  const gen1ExecutionCountRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "cloudfunctions.googleapis.com/function/execution_count",
+  );
+
+  const gen1EgressRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "cloudfunctions.googleapis.com/function/network_egress",
+  );
+
+  const [
+    cpuResult,
+    memResult,
+    netResult,
+    reqResult,
+    gen1TimesResult,
+    gen1CountResult,
+    gen1EgressResult,
+    gen1MemoryTiers,
+  ] = await Promise.all([
     monitoringClient.listTimeSeries(cpuRequest),
     monitoringClient.listTimeSeries(memRequest),
     monitoringClient.listTimeSeries(netRequest),
     monitoringClient.listTimeSeries(reqRequest),
+    monitoringClient.listTimeSeries(gen1ExecutionTimesRequest),
+    monitoringClient.listTimeSeries(gen1ExecutionCountRequest),
+    monitoringClient.listTimeSeries(gen1EgressRequest),
+    getGen1MemoryTiers(projectId),
   ]);
 
   log(`Allocated CPU time for Cloud Functions V2:`);
   let cpuSecondsV2 = 0;
+  const hourlyCpuSecondsV2 = {};
   cpuResult[0].forEach((entry) => {
     let entrySeconds = 0;
     entry.points.forEach((point) => {
@@ -66,6 +182,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
       }
 
       entrySeconds += parsedSeconds;
+      addToHourly(hourlyCpuSecondsV2, point, parsedSeconds);
     });
 
     const entryName =
@@ -80,6 +197,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
 
   log(`Allocated Memory time for Cloud Functions V2:`);
   let memGbSecondsV2 = 0;
+  const hourlyMemGbSecondsV2 = {};
   memResult[0].forEach((entry) => {
     let entrySeconds = 0;
     entry.points.forEach((point) => {
@@ -93,6 +211,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
       }
 
       entrySeconds += parsedSeconds;
+      addToHourly(hourlyMemGbSecondsV2, point, parsedSeconds);
     });
 
     const entryName =
@@ -106,6 +225,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
   });
 
   let networkEgressBytesV2 = 0;
+  const hourlyEgressBytesV2 = {};
   netResult[0].forEach((entry) => {
     let entryBytes = 0;
     entry.points.forEach((point) => {
@@ -119,6 +239,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
       }
 
       entryBytes += parsedBytes;
+      addToHourly(hourlyEgressBytesV2, point, parsedBytes);
     });
 
     const entryName =
@@ -135,6 +256,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
   });
 
   let requestCount = 0;
+  const hourlyRequests = {};
   reqResult[0].forEach((entry) => {
     let entryRequests = 0;
     entry.points.forEach((point) => {
@@ -148,6 +270,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
       }
 
       entryRequests += parsedRequests;
+      addToHourly(hourlyRequests, point, parsedRequests);
     });
 
     const entryName =
@@ -167,6 +290,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
     DEFAULT_CPU_SECOND_COST,
     0.000001, // USD per vCPU second
     0.1, // USD per vCPU second
+    currency,
   );
 
   const memPrice = getPrice(
@@ -175,6 +299,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
     DEFAULT_MEMORY_GB_SECOND_COST,
     0.000001, // USD per GB-second
     0.1, // USD per GB-second
+    currency,
   );
 
   const netPrice = getPrice(
@@ -183,6 +308,7 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
     DEFAULT_EGRESS_BANDWIDTH_COST,
     0.01, // USD per GB
     5, // USD per GB
+    currency,
   );
 
   const reqPrice = getPrice(
@@ -191,21 +317,25 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
     DEFAULT_REQUEST_COST,
     0.01, // USD per million requests
     5, // USD per million requests
+    currency,
   );
 
-  const paidCpuSecondsV2 = Math.max(
-    0,
-    cpuSecondsV2 - FREE_CPU_SECONDS_PER_MONTH,
-  );
-  const paidMemGbSecondsV2 = Math.max(
-    0,
-    memGbSecondsV2 - FREE_MEMORY_GB_SECONDS_PER_MONTH,
+  // The free tier is used by gen 2 first, gen 1 gets what is left
+  const cpuV2 = applyFreeTier(cpuSecondsV2, FREE_CPU_SECONDS_PER_MONTH);
+  const memV2 = applyFreeTier(
+    memGbSecondsV2,
+    FREE_MEMORY_GB_SECONDS_PER_MONTH,
   );
-  const paidNetworkEgressBytesV2 = Math.max(
-    0,
-    networkEgressBytesV2 - FREE_NETWORK_EGRESS_BYTES_PER_MONTH,
+  const netV2 = applyFreeTier(
+    networkEgressBytesV2,
+    FREE_NETWORK_EGRESS_BYTES_PER_MONTH,
   );
-  const paidRequestCount = Math.max(0, requestCount - FREE_REQUESTS_PER_MONTH);
+  const reqV2 = applyFreeTier(requestCount, FREE_REQUESTS_PER_MONTH);
+
+  const paidCpuSecondsV2 = cpuV2.paid;
+  const paidMemGbSecondsV2 = memV2.paid;
+  const paidNetworkEgressBytesV2 = netV2.paid;
+  const paidRequestCount = reqV2.paid;
 
   const cpuCost = paidCpuSecondsV2 * cpuPrice;
   const memCost = paidMemGbSecondsV2 * memPrice;
@@ -218,20 +348,238 @@ export const getCloudFunctionsCost = async (projectId, startOfMonthTs) => {
 
   log(`Cloud Functions V2 Cost Calculation:`);
   log(
-    `  CPU: ${paidCpuSecondsV2.toFixed(2)} paid vCPU seconds @ $${cpuPrice}/vCPU-second = $${cpuCost.toFixed(2)}. Used ${Math.min(FREE_CPU_SECONDS_PER_MONTH, cpuSecondsV2).toFixed(2)}/${FREE_CPU_SECONDS_PER_MONTH} free vCPU seconds`,
+    `  CPU: ${paidCpuSecondsV2.toFixed(2)} paid vCPU seconds @ ${cpuPrice} ${currency.code}/vCPU-second = ${formatAmount(cpuCost, currency.code)}. Used ${Math.min(FREE_CPU_SECONDS_PER_MONTH, cpuSecondsV2).toFixed(2)}/${FREE_CPU_SECONDS_PER_MONTH} free vCPU seconds`,
   );
   log(
-    `  Memory: ${paidMemGbSecondsV2.toFixed(2)} paid GB-seconds @ $${memPrice}/GB-second = $${memCost.toFixed(2)}. Used ${Math.min(FREE_MEMORY_GB_SECONDS_PER_MONTH, memGbSecondsV2).toFixed(2)}/${FREE_MEMORY_GB_SECONDS_PER_MONTH} free GB-seconds`,
+    `  Memory: ${paidMemGbSecondsV2.toFixed(2)} paid GB-seconds @ ${memPrice} ${currency.code}/GB-second = ${formatAmount(memCost, currency.code)}. Used ${Math.min(FREE_MEMORY_GB_SECONDS_PER_MONTH, memGbSecondsV2).toFixed(2)}/${FREE_MEMORY_GB_SECONDS_PER_MONTH} free GB-seconds`,
   );
   log(
-    `  Network Egress: ${paidNetworkEgressBytesV2.toFixed(2)} paid bytes (${paidEgressGb.toFixed(2)} GB) @ $${netPrice}/GB = $${netCost.toFixed(2)}. Used ${Math.min(FREE_NETWORK_EGRESS_BYTES_PER_MONTH, networkEgressBytesV2).toFixed(2)}/${FREE_NETWORK_EGRESS_BYTES_PER_MONTH} free bytes`,
+    `  Network Egress: ${paidNetworkEgressBytesV2.toFixed(2)} paid bytes (${paidEgressGb.toFixed(2)} GB) @ ${netPrice} ${currency.code}/GB = ${formatAmount(netCost, currency.code)}. Used ${Math.min(FREE_NETWORK_EGRESS_BYTES_PER_MONTH, networkEgressBytesV2).toFixed(2)}/${FREE_NETWORK_EGRESS_BYTES_PER_MONTH} free bytes`,
   );
   log(
-    `  Requests: ${paidRequestCount} paid requests (${requestMillions} million) @ $${reqPrice}/million = $${requestCost.toFixed(2)}. Used ${Math.min(FREE_REQUESTS_PER_MONTH, requestCount)}/${FREE_REQUESTS_PER_MONTH} free requests`,
+    `  Requests: ${paidRequestCount} paid requests (${requestMillions} million) @ ${reqPrice} ${currency.code}/million = ${formatAmount(requestCost, currency.code)}. Used ${Math.min(FREE_REQUESTS_PER_MONTH, requestCount)}/${FREE_REQUESTS_PER_MONTH} free requests`,
   );
 
-  const totalCost = cpuCost + memCost + netCost + requestCost;
-  log(`  Total Cloud Functions V2 Cost: $${totalCost.toFixed(2)}`);
+  const gen2Cost = cpuCost + memCost + netCost + requestCost;
+  log(`  Total Cloud Functions V2 Cost: ${formatAmount(gen2Cost, currency.code)}`);
+
+  const gen1 = getGen1Cost({
+    timesResult: gen1TimesResult,
+    countResult: gen1CountResult,
+    egressResult: gen1EgressResult,
+    memoryTiers: gen1MemoryTiers,
+    freeLeft: {
+      cpu: cpuV2.freeLeft,
+      memory: memV2.freeLeft,
+      egress: netV2.freeLeft,
+      invocations: reqV2.freeLeft,
+    },
+    prices: { egress: netPrice, invocations: reqPrice },
+    currency,
+  });
+
+  const totalCost = gen2Cost + gen1.totalCost;
+
+  return {
+    totalCost,
+    breakdown: {
+      cpu: cpuCost,
+      memory: memCost,
+      egress: netCost,
+      requests: requestCost,
+      gen1: gen1.totalCost,
+    },
+    gen1: gen1.breakdown,
+    hourlyCost: mergeHourly(
+      toHourlyCost(hourlyCpuSecondsV2, cpuCost, paidCpuSecondsV2),
+      toHourlyCost(hourlyMemGbSecondsV2, memCost, paidMemGbSecondsV2),
+      toHourlyCost(hourlyEgressBytesV2, netCost, paidNetworkEgressBytesV2),
+      toHourlyCost(hourlyRequests, requestCost, paidRequestCount),
+      gen1.hourlyCost,
+    ),
+  };
+};
+
+/**
+ * Sums the values of a time series response into an hourly series.
+ *
+ * @param {object[]} series - The time series returned by the Monitoring API.
+ * @param {function(object, object): number} getValue - Reads the value of a
+ * point, given the point and its time series.
+ * @param {string} name - The name of the value for error messages.
+ * @returns {{total: number, hourly: object}} The sum, and the sum per hour.
+ */
+const sumSeries = (series, getValue, name) => {
+  let total = 0;
+  const hourly = {};
+  series.forEach((entry) => {
+    entry.points.forEach((point) => {
+      const value = getValue(point, entry);
+      if (!isFinite(value)) {
+        throw new Error(`Invalid ${name} - NaN/Infinite`);
+      } else if (value < 0) {
+        throw new Error(`Invalid ${name} - must be greater than 0`);
+      }
+      if (value === 0) return;
+
+      total += value;
+      addToHourly(hourly, point, value);
+    });
+  });
+  return { total, hourly };
+};
+
+/**
+ * Estimates the cost of gen 1 functions, with the free tier left over by
+ * gen 2 functions.
+ * The cloudfunctions.googleapis.com metrics also cover gen 2 functions,
+ * which are priced through Cloud Run, so only the series of the listed
+ * gen 1 functions are counted.
+ *
+ * NOTE: Gen 1 rounds every execution up to the nearest 100ms, which the
+ * execution time distribution does not expose. The estimate is slightly low
+ * for very short executions.
+ *
+ * @param {object} params
+ * @param {object[]} params.timesResult - The execution_times response.
+ * @param {object[]} params.countResult - The execution_count response.
+ * @param {object[]} params.egressResult - The network_egress response.
+ * @param {object|null} params.memoryTiers - Memory in MB, keyed by
+ * `region/function`, or null to count every function at the largest tier.
+ * @param {object} params.freeLeft - The free tier left by gen 2 functions.
+ * @param {object} params.prices - The egress and invocation prices.
+ * @param {{code: string}} params.currency - The currency to price in.
+ * @returns {{totalCost: number, breakdown: object, hourlyCost: object}}
+ * The gen 1 cost.
+ */
+const getGen1Cost = ({
+  timesResult,
+  countResult,
+  egressResult,
+  memoryTiers,
+  freeLeft,
+  prices,
+  currency,
+}) => {
+  const gbSecondPrice = getPrice(
+    "Cloud Functions (gen 1) memory GB-second",
+    process.env.MONITOR_CLOUD_FUNCTIONS_GEN1_GB_SECOND_COST,
+    DEFAULT_GEN1_GB_SECOND_COST,
+    0.000001, // USD per GB-second
+    0.1, // USD per GB-second
+    currency,
+  );
+
+  const ghzSecondPrice = getPrice(
+    "Cloud Functions (gen 1) CPU GHz-second",
+    process.env.MONITOR_CLOUD_FUNCTIONS_GEN1_GHZ_SECOND_COST,
+    DEFAULT_GEN1_GHZ_SECOND_COST,
+    0.000001, // USD per GHz-second
+    0.1, // USD per GHz-second
+    currency,
+  );
+
+  const getFunctionKey = (entry) =>
+    `${entry?.resource?.labels?.region}/${entry?.resource?.labels?.function_name}`;
+  const isGen1 = (entry) =>
+    memoryTiers === null || getFunctionKey(entry) in memoryTiers;
+  const getMemoryMb = (entry) =>
+    memoryTiers?.[getFunctionKey(entry)] || LARGEST_GEN1_MEMORY_MB;
+
+  const times = timesResult[0].filter(isGen1);
+  const counts = countResult[0].filter(isGen1);
+  const egress = egressResult[0].filter(isGen1);
+
+  // Execution times are distributions in nanoseconds
+  const getExecutionSeconds = (point) => {
+    const distribution = point.value.distributionValue;
+    return (
+      (Number(distribution?.count ?? 0) * (distribution?.mean ?? 0)) / 1e9
+    );
+  };
+
+  log(`Execution time for Cloud Functions V1:`);
+  times.forEach((entry) => {
+    const seconds = entry.points.reduce(
+      (sum, point) => sum + getExecutionSeconds(point),
+      0,
+    );
+    const name = entry?.resource?.labels?.function_name ?? "unknown_function";
+    log(
+      `  Execution time ${name} (${getMemoryMb(entry)} MB): ${seconds.toFixed(2)} seconds`,
+    );
+  });
+
+  const gbSeconds = sumSeries(
+    times,
+    (point, entry) => (getExecutionSeconds(point) * getMemoryMb(entry)) / 1024,
+    "memory GB-seconds",
+  );
+  const ghzSeconds = sumSeries(
+    times,
+    (point, entry) =>
+      getExecutionSeconds(point) *
+      (GEN1_CPU_GHZ_BY_MEMORY_MB[getMemoryMb(entry)] ??
+        GEN1_CPU_GHZ_BY_MEMORY_MB[LARGEST_GEN1_MEMORY_MB]),
+    "CPU GHz-seconds",
+  );
+  const invocations = sumSeries(
+    counts,
+    (point) => parseInt(point.value.int64Value, 10),
+    "execution count",
+  );
+  const egressBytes = sumSeries(
+    egress,
+    (point) => parseInt(point.value.int64Value, 10),
+    "byte count",
+  );
+
+  const paidGhzSeconds = applyFreeTier(ghzSeconds.total, freeLeft.cpu).paid;
+  const paidGbSeconds = applyFreeTier(gbSeconds.total, freeLeft.memory).paid;
+  const paidEgressBytes = applyFreeTier(
+    egressBytes.total,
+    freeLeft.egress,
+  ).paid;
+  const paidInvocations = applyFreeTier(
+    invocations.total,
+    freeLeft.invocations,
+  ).paid;
+
+  const cpuCost = paidGhzSeconds * ghzSecondPrice;
+  const memCost = paidGbSeconds * gbSecondPrice;
+  const egressCost = (paidEgressBytes / (1024 * 1024 * 1024)) * prices.egress;
+  const invocationCost = (paidInvocations / 1_000_000) * prices.invocations;
+
+  log(`Cloud Functions V1 Cost Calculation:`);
+  log(
+    `  CPU: ${paidGhzSeconds.toFixed(2)} paid GHz-seconds @ ${ghzSecondPrice} ${currency.code}/GHz-second = ${formatAmount(cpuCost, currency.code)}`,
+  );
+  log(
+    `  Memory: ${paidGbSeconds.toFixed(2)} paid GB-seconds @ ${gbSecondPrice} ${currency.code}/GB-second = ${formatAmount(memCost, currency.code)}`,
+  );
+  log(
+    `  Network Egress: ${paidEgressBytes} paid bytes @ ${prices.egress} ${currency.code}/GB = ${formatAmount(egressCost, currency.code)}`,
+  );
+  log(
+    `  Invocations: ${paidInvocations} paid invocations @ ${prices.invocations} ${currency.code}/million = ${formatAmount(invocationCost, currency.code)}`,
+  );
 
-  return totalCost;
+  const totalCost = cpuCost + memCost + egressCost + invocationCost;
+  log(`  Total Cloud Functions V1 Cost: ${formatAmount(totalCost, currency.code)}`);
+
+  return {
+    totalCost,
+    breakdown: {
+      cpu: cpuCost,
+      memory: memCost,
+      egress: egressCost,
+      invocations: invocationCost,
+    },
+    hourlyCost: mergeHourly(
+      toHourlyCost(ghzSeconds.hourly, cpuCost, paidGhzSeconds),
+      toHourlyCost(gbSeconds.hourly, memCost, paidGbSeconds),
+      toHourlyCost(egressBytes.hourly, egressCost, paidEgressBytes),
+      toHourlyCost(invocations.hourly, invocationCost, paidInvocations),
+    ),
+  };
 };
@@ -11,9 +11,16 @@ import moment from "moment-timezone";
  * @param {string} projectId - The GCP project ID.
  * @param {number} startOfMonthTs - The start of the month timestamp in seconds.
  * @param {string} metricType - The metric type to query.
+ * @param {string} [aligner] - How points are aligned to the hour. Delta
+ * metrics are summed, gauge metrics need e.g. ALIGN_MEAN.
  * @returns {object} The request object for the Monitoring API.
  */
-export const createRequest = (projectId, startOfMonthTs, metricType) => ({
+export const createRequest = (
+    projectId,
+    startOfMonthTs,
+    metricType,
+    aligner = "ALIGN_SUM",
+) => ({
     name: getMonitoringClient().projectPath(projectId),
     filter: `metric.type="${metricType}"`,
     interval: {
@@ -31,7 +38,7 @@ export const createRequest = (projectId, startOfMonthTs, metricType) => ({
             // errors due to DST changes (23/25 hours)
             seconds: 3600,
         },
-        perSeriesAligner: "ALIGN_SUM",
+        perSeriesAligner: aligner,
     },
 });
 
@@ -46,3 +53,60 @@ export const getMonitoringClient = () => {
     }
     return monitoringClient;
 };
+
+/**
+ * Adds the value of a point to an hourly series. The series is keyed
+ * by the end of the aligned hour, in seconds.
+ *
+ * @param {object} hourly - The hourly series to add to.
+ * @param {object} point - A point returned by the Monitoring API.
+ * @param {number} value - The value of the point.
+ */
+export const addToHourly = (hourly, point, value) => {
+    const hour = Number(point.interval.endTime.seconds);
+    hourly[hour] = (hourly[hour] ?? 0) + value;
+};
+
+/**
+ * Spreads a cost over an hourly usage series. The free usage is used up
+ * by the earliest hours, and the usage after it is priced at the
+ * marginal unit price, so once the free tier is gone every hour costs
+ * what it is billed. The result sums up to `cost`.
+ *
+ * @param {object} hourlyUsage - Usage per hour.
+ * @param {number} cost - The paid cost of the total usage.
+ * @param {number} [paidUsage] - The part of the usage which is paid,
+ *     all of it by default.
+ * @returns {object} Cost per hour.
+ */
+export const toHourlyCost = (hourlyUsage, cost, paidUsage) => {
+    const totalUsage = Object.values(hourlyUsage).reduce((a, b) => a + b, 0);
+    const hourlyCost = {};
+    if (totalUsage <= 0 || cost <= 0) return hourlyCost;
+
+    const paid = Math.min(totalUsage, paidUsage ?? totalUsage);
+    const unitPrice = cost / paid;
+    let freeLeft = totalUsage - paid;
+    Object.entries(hourlyUsage)
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .forEach(([hour, usage]) => {
+            const free = Math.min(freeLeft, usage);
+            freeLeft -= free;
+            if (usage > free) hourlyCost[hour] = (usage - free) * unitPrice;
+        });
+    return hourlyCost;
+};
+
+/**
+ * @param {...object} series - Hourly series to merge.
+ * @returns {object} The sum of the series per hour.
+ */
+export const mergeHourly = (...series) => {
+    const merged = {};
+    series.forEach((hourly) => {
+        Object.entries(hourly).forEach(([hour, value]) => {
+            merged[hour] = (merged[hour] ?? 0) + value;
+        });
+    });
+    return merged;
+};
@@ -0,0 +1,67 @@
+import { error } from "firebase-functions/logger";
+
+// The currency of every default price in the estimators
+export const BASE_CURRENCY = "USD";
+
+/**
+ * Parses the exchange-rate table, e.g. `EUR:0.92,NOK:10.8`. Every rate
+ * is the amount of that currency which equals 1 USD.
+ *
+ * @param {string} config - The MONITOR_EXCHANGE_RATES configuration.
+ * @returns {object} Exchange rates, keyed by currency code.
+ */
+export const parseExchangeRates = (config) => {
+  const rates = {};
+  if (typeof config !== "string" || config.trim().length === 0) return rates;
+
+  config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      const [code, rateStr] = entry.split(":").map((part) => part.trim());
+      if (!/^[A-Za-z]{3}$/.test(code ?? "")) {
+        throw new Error(
+          `Invalid exchange rate "${entry}" - currency must be a 3 letter currency code.`,
+        );
+      }
+
+      const rate = parseFloat(rateStr);
+      if (!isFinite(rate) || rate <= 0) {
+        throw new Error(
+          `Invalid exchange rate "${entry}" - rate must be a positive number.`,
+        );
+      }
+      rates[code.toUpperCase()] = rate;
+    });
+
+  return rates;
+};
+
+/**
+ * Resolves the currency the estimators should price in.
+ *
+ * @param {string} currencyCode - The currency of the budget.
+ * @returns {{code: string, rate: number|null}} The currency, and its
+ * exchange rate from USD, or null if no rate is configured.
+ */
+export const getCurrency = (currencyCode) => {
+  const code = currencyCode.toUpperCase();
+  if (code === BASE_CURRENCY) return { code, rate: 1 };
+
+  const rates = parseExchangeRates(process.env.MONITOR_EXCHANGE_RATES);
+  if (!rates[code]) {
+    error(
+      `No exchange rate configured for ${code}. Every monitoring price must be set in ${code}.`,
+    );
+  }
+  return { code, rate: rates[code] ?? null };
+};
+
+/**
+ * @param {number} amount - The amount to format.
+ * @param {string} currencyCode - The currency of the amount.
+ * @returns {string} The amount with two decimals and its currency code.
+ */
+export const formatAmount = (amount, currencyCode) =>
+  `${amount.toFixed(2)} ${currencyCode}`;
@@ -1,7 +1,15 @@
-import { createRequest, getMonitoringClient } from "./cloudMonitoring.js";
+import {
+  createRequest,
+  getMonitoringClient,
+  addToHourly,
+  toHourlyCost,
+  mergeHourly,
+} from "./cloudMonitoring.js";
 import { log } from "firebase-functions/logger";
 import moment from "moment-timezone";
 import getPrice from "./getPrice.js";
+import { formatAmount } from "./currency.js";
+import { getBillingPeriodEnd } from "../billing-period.js";
 
 // NOTE: About Firestore Editions
 // The pricing models are different for Standard edition
@@ -24,7 +32,26 @@ const FREE_TIER_STANDARD_DAILY_READS = 50000;
 const FREE_TIER_STANDARD_DAILY_WRITES = 20000;
 const FREE_TIER_STANDARD_DAILY_DELETES = 20000;
 
-export const getFirestoreCost = async (projectId, startOfMonthTs) => {
+// NOTE: Cloud Billing charges storage from the daily average of the
+// stored data and indexes. We price the mean of every hour instead
+// (see createRequest), so growth late in the period is priced from the
+// hour it happens in. The size is only sampled every few minutes, so
+// the last hour can lag slightly behind the real size.
+const DEFAULT_COST_STANDARD_STORAGE = 0.18; // USD per GiB-month
+const DEFAULT_COST_ENTERPRISE_STORAGE = 0.24; // USD per GiB-month
+// NOTE: There is no metric for billable Firestore egress. We use
+// network/sent_bytes_count, which counts every byte sent, including
+// traffic within the same region and to other Google services that is
+// not billed. The egress cost is an upper bound, which errs on the side
+// of stopping early.
+// https://firebase.google.com/docs/firestore/pricing#network-bandwidth
+const DEFAULT_COST_EGRESS = 0.12; // USD per GiB
+
+const BYTES_PER_GIB = 1024 * 1024 * 1024;
+const FREE_TIER_STORED_BYTES = 1 * BYTES_PER_GIB;
+const FREE_TIER_MONTHLY_EGRESS_BYTES = 10 * BYTES_PER_GIB;
+
+export const getFirestoreCost = async (projectId, startOfMonthTs, currency) => {
   const monitoringClient = getMonitoringClient();
   const freeTierDatabaseId = process.env.FIRESTORE_FREE_TIER_DATABASE_NAME;
 
@@ -78,6 +105,21 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
     standardDeletesRequest,
   );
 
+  const storageRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "firestore.googleapis.com/storage/data_and_index_storage_bytes",
+    "ALIGN_MEAN",
+  );
+  const storageRequestPrm = monitoringClient.listTimeSeries(storageRequest);
+
+  const egressRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "firestore.googleapis.com/network/sent_bytes_count",
+  );
+  const egressRequestPrm = monitoringClient.listTimeSeries(egressRequest);
+
   const [enterpriseReadsData, enterpriseWritesData] = await Promise.all([
     enterpriseReadsRequestPrm,
     enterpriseWritesRequestPrm,
@@ -95,7 +137,12 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
   };
 
   const enterpriseDatabaseIds = new Set();
-  const calculatePaidOperations = (db, isEnterpriseRequest, freeQuota) => {
+  const calculatePaidOperations = (
+    db,
+    isEnterpriseRequest,
+    freeQuota,
+    hourly,
+  ) => {
     let result = 0;
     const databaseId = db.resource.labels.database_id;
 
@@ -113,6 +160,7 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
     db.points.forEach((point) => {
       if (point.value.int64Value === "0") return;
       const operations = parseInt(point.value.int64Value, 10);
+      addToHourly(hourly, point, operations);
 
       if (!isFreeTierDb) {
         result += operations;
@@ -144,20 +192,24 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
   log("Firestore Enterprise Edition Usage:");
 
   let entReadUnits = 0;
+  const entReadUnitsHourly = {};
   enterpriseReadsData[0].forEach((db) => {
     entReadUnits += calculatePaidOperations(
       db,
       true,
       FREE_TIER_ENTERPRISE_DAILY_READ_UNITS,
+      entReadUnitsHourly,
     );
   });
 
   let entWriteUnits = 0;
+  const entWriteUnitsHourly = {};
   enterpriseWritesData[0].forEach((db) => {
     entWriteUnits += calculatePaidOperations(
       db,
       true,
       FREE_TIER_ENTERPRISE_DAILY_WRITE_UNITS,
+      entWriteUnitsHourly,
     );
   });
 
@@ -173,38 +225,60 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
   log("Firestore Standard Edition Usage:");
 
   let stdReads = 0;
+  const stdReadsHourly = {};
   standardReadsData[0].forEach((db) => {
     stdReads += calculatePaidOperations(
       db,
       false,
       FREE_TIER_STANDARD_DAILY_READS,
+      stdReadsHourly,
     );
   });
 
   let stdWrites = 0;
+  const stdWritesHourly = {};
   standardWritesData[0].forEach((db) => {
     stdWrites += calculatePaidOperations(
       db,
       false,
       FREE_TIER_STANDARD_DAILY_WRITES,
+      stdWritesHourly,
     );
   });
 
   let stdDeletes = 0;
+  const stdDeletesHourly = {};
   standardDeletesData[0].forEach((db) => {
     stdDeletes += calculatePaidOperations(
       db,
       false,
       FREE_TIER_STANDARD_DAILY_DELETES,
+      stdDeletesHourly,
     );
   });
 
+  // Storage and egress are priced per database, so the Standard and
+  // Enterprise databases identified above can be told apart
+  const [storageData, egressData] = await Promise.all([
+    storageRequestPrm,
+    egressRequestPrm,
+  ]);
+  const storage = getStorageAndEgressCost({
+    storageSeries: storageData[0],
+    egressSeries: egressData[0],
+    enterpriseDatabaseIds,
+    freeTierDatabaseId,
+    startOfMonthTs,
+    currency,
+  });
+
   const entReadUnitCost = getPrice(
     "Firebase Enterprise Read Unit",
     process.env.MONITOR_FIRESTORE_ENT_READ_UNIT_COST,
     DEFAULT_COST_ENTERPRISE_READ_UNIT,
     0.01,
     5.0,
+    currency,
   );
 
   const entWriteUnitCost = getPrice(
@@ -213,6 +287,7 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
     DEFAULT_COST_ENTERPRISE_WRITE_UNIT,
     0.01,
     5.0,
+    currency,
   );
 
   const stdReadCost = getPrice(
@@ -221,6 +296,7 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
     DEFAULT_COST_STANDARD_READ,
     0.01,
     5.0,
+    currency,
   );
 
   const stdWriteCost = getPrice(
@@ -229,6 +305,7 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
     DEFAULT_COST_STANDARD_WRITE,
     0.01,
     5.0,
+    currency,
   );
 
   const stdDeleteCost = getPrice(
@@ -237,6 +314,7 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
     DEFAULT_COST_STANDARD_DELETE,
     0.01,
     5.0,
+    currency,
   );
 
   const readStdCostTotal = (stdReads / 1_000_000) * stdReadCost;
@@ -250,28 +328,201 @@ export const getFirestoreCost = async (projectId, startOfMonthTs) => {
     writeStdCostTotal +
     deleteStdCostTotal +
     readEntCostTotal +
-    writeEntCostTotal;
+    writeEntCostTotal +
+    storage.standardStorage +
+    storage.enterpriseStorage +
+    storage.egress;
   if (!isFinite(totalCost)) {
     throw new Error("Calculated Firestore cost is NaN/Infinite");
   }
 
   log(`Paid Firestore usage:`);
   log(
-    `  Standard Reads: ${stdReads} @ $${stdReadCost}/million = $${readStdCostTotal.toFixed(2)}`,
+    `  Standard Reads: ${stdReads} @ ${stdReadCost} ${currency.code}/million = ${formatAmount(readStdCostTotal, currency.code)}`,
   );
   log(
-    `  Standard Writes: ${stdWrites} @ $${stdWriteCost}/million = $${writeStdCostTotal.toFixed(2)}`,
+    `  Standard Writes: ${stdWrites} @ ${stdWriteCost} ${currency.code}/million = ${formatAmount(writeStdCostTotal, currency.code)}`,
   );
   log(
-    `  Standard Deletes: ${stdDeletes} @ $${stdDeleteCost}/million = $${deleteStdCostTotal.toFixed(2)}`,
+    `  Standard Deletes: ${stdDeletes} @ ${stdDeleteCost} ${currency.code}/million = ${formatAmount(deleteStdCostTotal, currency.code)}`,
   );
   log(
-    `  Enterprise Read Units: ${entReadUnits} @ $${entReadUnitCost}/million = $${readEntCostTotal.toFixed(2)}`,
+    `  Enterprise Read Units: ${entReadUnits} @ ${entReadUnitCost} ${currency.code}/million = ${formatAmount(readEntCostTotal, currency.code)}`,
   );
   log(
-    `  Enterprise Write Units: ${entWriteUnits} @ $${entWriteUnitCost}/million = $${writeEntCostTotal.toFixed(2)}`,
+    `  Enterprise Write Units: ${entWriteUnits} @ ${entWriteUnitCost} ${currency.code}/million = ${formatAmount(writeEntCostTotal, currency.code)}`,
   );
-  log(`  Total Firestore Cost: $${totalCost.toFixed(2)}`);
+  log(
+    `  Standard Storage: ${formatAmount(storage.standardStorage, currency.code)}`,
+  );
+  log(
+    `  Enterprise Storage: ${formatAmount(storage.enterpriseStorage, currency.code)}`,
+  );
+  log(`  Network Egress: ${formatAmount(storage.egress, currency.code)}`);
+  log(`  Total Firestore Cost: ${formatAmount(totalCost, currency.code)}`);
+
+  const hourlyCost = mergeHourly(
+    toHourlyCost(stdReadsHourly, readStdCostTotal, stdReads),
+    toHourlyCost(stdWritesHourly, writeStdCostTotal, stdWrites),
+    toHourlyCost(stdDeletesHourly, deleteStdCostTotal, stdDeletes),
+    toHourlyCost(entReadUnitsHourly, readEntCostTotal, entReadUnits),
+    toHourlyCost(entWriteUnitsHourly, writeEntCostTotal, entWriteUnits),
+    storage.hourlyCost,
+  );
+
+  return {
+    totalCost,
+    breakdown: {
+      standardReads: readStdCostTotal,
+      standardWrites: writeStdCostTotal,
+      standardDeletes: deleteStdCostTotal,
+      enterpriseReadUnits: readEntCostTotal,
+      enterpriseWriteUnits: writeEntCostTotal,
+      standardStorage: storage.standardStorage,
+      enterpriseStorage: storage.enterpriseStorage,
+      egress: storage.egress,
+    },
+    databases: storage.databases,
+    hourlyCost,
+  };
+};
 
-  return totalCost;
+/**
+ * Estimates the storage and network egress cost of every database.
+ *
+ * Storage is priced from the mean stored data and indexes of every
+ * hour, each hour charged a fraction of the monthly price. Egress is
+ * priced from all bytes sent. Only the free tier database gets the
+ * free storage and egress.
+ *
+ * @param {object} params
+ * @param {object[]} params.storageSeries - The stored bytes per database.
+ * @param {object[]} params.egressSeries - The egress bytes per database.
+ * @param {Set<string>} params.enterpriseDatabaseIds - Enterprise databases.
+ * @param {string} params.freeTierDatabaseId - The free tier database.
+ * @param {number} params.startOfMonthTs - Start of the billing period
+ *   (seconds).
+ * @param {{code: string}} params.currency - The currency to price in.
+ * @returns {{standardStorage: number, enterpriseStorage: number,
+ *   egress: number, databases: object, hourlyCost: object}} The cost.
+ */
+const getStorageAndEgressCost = ({
+  storageSeries,
+  egressSeries,
+  enterpriseDatabaseIds,
+  freeTierDatabaseId,
+  startOfMonthTs,
+  currency,
+}) => {
+  const stdStoragePrice = getPrice(
+    "Standard Storage GiB-month",
+    process.env.MONITOR_FIRESTORE_STD_STORAGE_COST,
+    DEFAULT_COST_STANDARD_STORAGE,
+    0.01,
+    5.0,
+    currency,
+  );
+  const entStoragePrice = getPrice(
+    "Enterprise Storage GiB-month",
+    process.env.MONITOR_FIRESTORE_ENT_STORAGE_COST,
+    DEFAULT_COST_ENTERPRISE_STORAGE,
+    0.01,
+    5.0,
+    currency,
+  );
+  const egressPrice = getPrice(
+    "Firestore Network Egress",
+    process.env.MONITOR_FIRESTORE_EGRESS_COST,
+    DEFAULT_COST_EGRESS,
+    0.01,
+    5.0,
+    currency,
+  );
+
+  const hoursInPeriod = (getBillingPeriodEnd().unix() - startOfMonthTs) / 3600;
+  const databases = {};
+  const getDatabase = (series) => {
+    const databaseId = series.resource.labels.database_id;
+    databases[databaseId] ??= {
+      edition: enterpriseDatabaseIds.has(databaseId)
+        ? "enterprise"
+        : "standard",
+      gibDays: 0,
+      storage: 0,
+      egressBytes: 0,
+      egress: 0,
+    };
+    return [databaseId, databases[databaseId]];
+  };
+
+  const hourlyStorageCost = {};
+  storageSeries.forEach((series) => {
+    const [databaseId, database] = getDatabase(series);
+    const freeBytes =
+      databaseId === freeTierDatabaseId ? FREE_TIER_STORED_BYTES : 0;
+    const price =
+      database.edition === "enterprise" ? entStoragePrice : stdStoragePrice;
+
+    series.points.forEach((point) => {
+      const bytes = Number(point.value.doubleValue ?? point.value.int64Value);
+      if (!isFinite(bytes) || bytes < 0) {
+        throw new Error("Invalid stored bytes - must be a positive number");
+      }
+      database.gibDays += bytes / BYTES_PER_GIB / 24;
+
+      const paidGib = Math.max(0, bytes - freeBytes) / BYTES_PER_GIB;
+      const cost = (paidGib * price) / hoursInPeriod;
+      database.storage += cost;
+      addToHourly(hourlyStorageCost, point, cost);
+    });
+  });
+
+  const egressBytesHourly = {};
+  egressSeries.forEach((series) => {
+    const [, database] = getDatabase(series);
+    series.points.forEach((point) => {
+      if (point.value.int64Value === "0") return;
+      const bytes = parseInt(point.value.int64Value, 10);
+      if (!isFinite(bytes) || bytes < 0) {
+        throw new Error("Invalid egress bytes - must be a positive number");
+      }
+      database.egressBytes += bytes;
+      addToHourly(egressBytesHourly, point, bytes);
+    });
+  });
+
+  log("Firestore Storage and Egress:");
+  let standardStorage = 0;
+  let enterpriseStorage = 0;
+  let egress = 0;
+  let paidEgressBytesTotal = 0;
+  Object.entries(databases).forEach(([databaseId, database]) => {
+    const freeBytes =
+      databaseId === freeTierDatabaseId ? FREE_TIER_MONTHLY_EGRESS_BYTES : 0;
+    const paidEgressBytes = Math.max(0, database.egressBytes - freeBytes);
+    database.egress = (paidEgressBytes / BYTES_PER_GIB) * egressPrice;
+    paidEgressBytesTotal += paidEgressBytes;
+    egress += database.egress;
+
+    if (database.edition === "enterprise") {
+      enterpriseStorage += database.storage;
+    } else {
+      standardStorage += database.storage;
+    }
+
+    log(
+      `  Firestore DB ${databaseId} (${database.edition}): ${database.gibDays.toFixed(4)} GiB-days stored = ${formatAmount(database.storage, currency.code)}, ${paidEgressBytes} paid egress bytes = ${formatAmount(database.egress, currency.code)}`,
+    );
+  });
+
+  return {
+    standardStorage,
+    enterpriseStorage,
+    egress,
+    databases,
+    hourlyCost: mergeHourly(
+      hourlyStorageCost,
+      toHourlyCost(egressBytesHourly, egress, paidEgressBytesTotal),
+    ),
+  };
 };
@@ -0,0 +1,50 @@
+// Early in the billing period a few hours of usage say little about
+// the rest of the month, so no forecast is made before this.
+const MIN_ELAPSED_HOURS = 6;
+
+const DEFAULT_RECENT_HOURS = 24;
+
+/**
+ * Projects the cost at the end of the billing period in two ways:
+ *
+ * - linear: the average hourly cost so far, extrapolated over the
+ *   whole billing period.
+ * - recent: the cost so far, plus the average hourly cost over the
+ *   most recent hours extrapolated over the remaining hours. This
+ *   catches spikes that the linear forecast would average away.
+ *
+ * @param {object} params
+ * @param {number} params.totalCost - The cost so far in the billing period.
+ * @param {object} params.hourlyCost - Cost per hour, keyed by the end of the
+ *   hour in seconds.
+ * @param {number} params.periodStartTs - Start of the billing period (seconds).
+ * @param {number} params.periodEndTs - End of the billing period (seconds).
+ * @param {number} params.nowTs - The current time (seconds).
+ * @param {number} [params.recentHours] - Hours used for the recent rate.
+ * @returns {{linear: number, recent: number, forecast: number}|null} The
+ * forecasts, and the highest of them, or null if it is too early to tell.
+ */
+export const forecastPeriodCost = ({
+  totalCost,
+  hourlyCost,
+  periodStartTs,
+  periodEndTs,
+  nowTs,
+  recentHours = DEFAULT_RECENT_HOURS,
+}) => {
+  const elapsedHours = (nowTs - periodStartTs) / 3600;
+  const remainingHours = Math.max(0, (periodEndTs - nowTs) / 3600);
+  if (elapsedHours < MIN_ELAPSED_HOURS) return null;
+
+  const linear = (totalCost / elapsedHours) * (elapsedHours + remainingHours);
+
+  const recentStartTs = nowTs - recentHours * 3600;
+  let recentCost = 0;
+  Object.entries(hourlyCost).forEach(([hour, cost]) => {
+    if (Number(hour) > recentStartTs) recentCost += cost;
+  });
+  const recentRate = recentCost / Math.min(recentHours, elapsedHours);
+  const recent = totalCost + recentRate * remainingHours;
+
+  return { linear, recent, forecast: Math.max(linear, recent) };
+};
@@ -1,15 +1,45 @@
 import { error } from "firebase-functions/logger";
+import { BASE_CURRENCY } from "./currency.js";
+
+const USD = { code: BASE_CURRENCY, rate: 1 };
+
 /**
  * Get a validated price value.
  *
+ * The default price and the allowed range are in USD, and are converted
+ * to the given currency. A custom price is always in the given currency.
+ *
  * @param {string} priceName - The name of the price for error messages.
  * @param {string} customPrice - The custom price input as a string.
- * @param {number} defaultPrice - The default price to use if validation fails.
- * @param {number} minPrice - The minimum allowed price.
- * @param {number} maxPrice - The maximum allowed price.
+ * @param {number} defaultPrice - The default price in USD, used if validation
+ *   fails.
+ * @param {number} minPrice - The minimum allowed price in USD.
+ * @param {number} maxPrice - The maximum allowed price in USD.
+ * @param {{code: string, rate: number|null}} [currency] - The currency to
+ *   price in.
  * @returns {number} The validated price.
  */
-const getPrice = (priceName, customPrice, defaultPrice, minPrice, maxPrice) => {
+const getPrice = (
+    priceName,
+    customPrice,
+    defaultPrice,
+    minPrice,
+    maxPrice,
+    currency = USD,
+) => {
+    const { code, rate } = currency;
+    const isSet =
+        customPrice !== undefined && String(customPrice).trim().length > 0;
+
+    // Without an exchange rate the default price cannot be converted
+    if (rate === null && !isSet) {
+        throw new Error(
+            `No price set for ${priceName}, and no exchange rate configured for ${code}. Set the price in ${code}, or add ${code} to the exchange rates.`,
+        );
+    }
+
+    if (!isSet) return defaultPrice * rate;
+
     try {
         const customPriceNumber = parseFloat(customPrice);
 
@@ -19,22 +49,23 @@ const getPrice = (priceName, customPrice, defaultPrice, minPrice, maxPrice) => {
             throw new Error(
                 `Invalid price for ${priceName} - price must be greater than 0.`,
             );
-        } else if (customPriceNumber < minPrice) {
+        } else if (rate !== null && customPriceNumber < minPrice * rate) {
             throw new Error(
-                `Invalid price for ${priceName} - below minimum allowed price of $${minPrice} per GB.`,
+                `Invalid price for ${priceName} - below minimum allowed price of ${minPrice * rate} ${code}.`,
             );
-        } else if (customPriceNumber > maxPrice) {
+        } else if (rate !== null && customPriceNumber > maxPrice * rate) {
             throw new Error(
-                `Invalid price for ${priceName} - above maximum allowed price of $${maxPrice} per gb.`,
+                `Invalid price for ${priceName} - above maximum allowed price of ${maxPrice * rate} ${code}.`,
             );
         }
 
         return customPriceNumber;
     } catch (e) {
+        if (rate === null) throw e;
         error(
-            `Error with custom cost configuration (${priceName}): ${e.message}. Using default of $${defaultPrice}.`,
+            `Error with custom cost configuration (${priceName}): ${e.message}. Using default of ${defaultPrice * rate} ${code}.`,
         );
-        return defaultPrice;
+        return defaultPrice * rate;
     }
 };
 
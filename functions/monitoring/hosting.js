@@ -1,10 +1,16 @@
-import { createRequest, getMonitoringClient } from "./cloudMonitoring.js";
+import {
+  createRequest,
+  getMonitoringClient,
+  addToHourly,
+  toHourlyCost,
+} from "./cloudMonitoring.js";
 import { log } from "firebase-functions/logger";
 import getPrice from "./getPrice.js";
+import { formatAmount } from "./currency.js";
 
 const DEFAULT_HOSTING_BANDWIDTH_COST = 0.15; // USD per GB
 
-export const getHostingCost = async (projectId, startOfMonthTs) => {
+export const getHostingCost = async (projectId, startOfMonthTs, currency) => {
   const monitoringClient = getMonitoringClient();
   const hostingRequest = createRequest(
     projectId,
@@ -21,9 +27,11 @@ export const getHostingCost = async (projectId, startOfMonthTs) => {
     DEFAULT_HOSTING_BANDWIDTH_COST,
     0.01,
     5.0,
+    currency,
   );
 
   let totalBytes = 0;
+  const hourlyBytes = {};
 
   log(`Hosting Bandwidth usage:`);
   hostingResponse.forEach((entry) => {
@@ -39,6 +47,7 @@ export const getHostingCost = async (projectId, startOfMonthTs) => {
       }
 
       entryBytes += parsedBytes;
+      addToHourly(hourlyBytes, point, parsedBytes);
     });
 
     const entryGb = entryBytes / (1024 * 1024 * 1024);
@@ -52,8 +61,14 @@ export const getHostingCost = async (projectId, startOfMonthTs) => {
   const totalGB = totalBytes / (1024 * 1024 * 1024);
   const totalCost = totalGB * price;
   log(
-    `  Total Bytes: ${totalBytes} bytes (${totalGB.toFixed(2)} GB) @ $${price}/GB = $${totalCost.toFixed(2)}`,
+    `  Total Bytes: ${totalBytes} bytes (${totalGB.toFixed(2)} GB) @ ${price} ${currency.code}/GB = ${formatAmount(totalCost, currency.code)}`,
   );
 
-  return totalCost;
+  return {
+    totalCost,
+    breakdown: {
+      bandwidth: totalCost,
+    },
+    hourlyCost: toHourlyCost(hourlyBytes, totalCost),
+  };
 };
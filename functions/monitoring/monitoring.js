@@ -1,17 +1,85 @@
 import { log, error } from "firebase-functions/logger";
-import { executeDisable } from "../service.js";
+import {
+  executeDisable,
+  executeDisableAPI,
+  executeActionTiers,
+  isDryRun,
+  logDryRunPlan,
+} from "../service.js";
+import {
+  SERVICE_FIRESTORE,
+  SERVICE_FIREBASEHOSTING,
+  SERVICE_FIREBASESTORAGE,
+  SERVICE_CLOUDFUNCTIONS,
+  SERVICE_FIREBASEDATABASE,
+  SERVICE_IDENTITYTOOLKIT,
+  SERVICE_FIREBASEVERTEXAI,
+} from "../constants.js";
+import { getActionTiers, getReachedTiers, getTierKey } from "../tiers.js";
+import {
+  getBillingPeriodStart,
+  getBillingPeriodEnd,
+  getBillingPeriodKey,
+} from "../billing-period.js";
+import {
+  claimOrFailOpen,
+  runOncePerPeriod,
+  getProjectStateDocId,
+  FORECAST_STATE_DOC,
+  BURN_RATE_STATE_DOC,
+  BURN_RATE_LIMIT_CLAIM_KEY,
+  SERVICE_BUDGET_STATE_DOC,
+} from "../state.js";
 import { getFirestoreCost } from "./firestore.js";
 import { getHostingCost } from "./hosting.js";
 import { getStorageCost } from "./storage.js";
 import { getCloudFunctionsCost } from "./cloudFunctions.js";
+import { getRealtimeDatabaseCost } from "./realtimeDatabase.js";
+import { getAuthenticationCost } from "./authentication.js";
+import { getVertexAiCost } from "./vertexAi.js";
+import { saveSnapshot, pruneSnapshots } from "./snapshots.js";
+import { mergeHourly } from "./cloudMonitoring.js";
+import { getCurrency, formatAmount } from "./currency.js";
+import { forecastPeriodCost } from "./forecast.js";
+import { parseBurnRateLimits, getBurnRate } from "./burnRate.js";
+import {
+  parseServiceBudgets,
+  getExceededServiceBudgets,
+} from "./serviceBudgets.js";
+import { getMonitoredProjects, getBillingAccountId } from "./projects.js";
+import { sendNotification, EVENT_WARNING } from "../notifications.js";
 
-import moment from "moment-timezone";
-
-import { CloudBillingClient } from "@google-cloud/billing";
 import { BudgetServiceClient } from "@google-cloud/billing-budgets";
 
 const budgetClient = new BudgetServiceClient();
-const billingClient = new CloudBillingClient();
+
+// Each monitored service is estimated independently, and reported
+// under its key in the monitoring snapshot. The API is disabled when
+// the service exceeds its own budget.
+const MONITORED_SERVICES = [
+  { key: "firestore", estimate: getFirestoreCost, api: SERVICE_FIRESTORE },
+  { key: "hosting", estimate: getHostingCost, api: SERVICE_FIREBASEHOSTING },
+  { key: "storage", estimate: getStorageCost, api: SERVICE_FIREBASESTORAGE },
+  {
+    key: "cloudFunctions",
+    estimate: getCloudFunctionsCost,
+    api: SERVICE_CLOUDFUNCTIONS,
+  },
+  {
+    key: "realtimeDatabase",
+    estimate: getRealtimeDatabaseCost,
+    api: SERVICE_FIREBASEDATABASE,
+  },
+  {
+    key: "authentication",
+    estimate: getAuthenticationCost,
+    api: SERVICE_IDENTITYTOOLKIT,
+  },
+  { key: "vertexAi", estimate: getVertexAiCost, api: SERVICE_FIREBASEVERTEXAI },
+];
+
+const FORECAST_MODE_WARN = "warn";
+const FORECAST_MODE_ACT = "act";
 
 export const monitorUsage = async () => {
   const { MONITORING_ENABLED } = process.env;
@@ -28,76 +96,479 @@ export const monitorUsage = async () => {
     MONITORING_ENABLED === "test" ? "(TEST MODE - Logging only)" : "",
   );
 
-  const projectId = JSON.parse(process.env.FIREBASE_CONFIG).projectId;
+  const ownProjectId = JSON.parse(process.env.FIREBASE_CONFIG).projectId;
 
   // NOTE: Google uses Pacific Time to calculate the billing
   // period for all customers, regardless of their time zone.
   // The time zone of the function can be set in extension.yaml
 
-  const startOfMonthTs = moment()
-    .tz("America/Los_Angeles")
-    .startOf("month")
-    .unix();
+  const startOfMonthTs = getBillingPeriodStart().unix();
 
-  const [budgetAmount, firestoreCost, hostingCost, storageCost, cloudRunCost] =
-    await Promise.all([
-      fetchBudget(projectId),
-      getFirestoreCost(projectId, startOfMonthTs),
-      getHostingCost(projectId, startOfMonthTs),
-      getStorageCost(projectId, startOfMonthTs),
-      getCloudFunctionsCost(projectId, startOfMonthTs),
-    ]);
+  // Every project is evaluated against its own budget, and a failure in
+  // one project does not stop the others from being monitored
+  const projects = await getMonitoredProjects(ownProjectId);
+  const failures = [];
+  for (const { projectId, budgetId } of projects) {
+    try {
+      await monitorProject(
+        projectId,
+        budgetId,
+        startOfMonthTs,
+        MONITORING_ENABLED === "test",
+      );
+    } catch (e) {
+      error(`Monitoring ${projectId} failed:`, e);
+      failures.push({ projectId, error: e });
+    }
+  }
+
+  if (failures.length === 0) return;
+  if (projects.length === 1) throw failures[0].error;
+  throw new Error(
+    `Monitoring failed for ${failures.length} of ${projects.length} projects: ${failures.map(({ projectId, error }) => `${projectId} (${error.message})`).join(", ")}`,
+  );
+};
 
-  const totalCost = firestoreCost + hostingCost + storageCost + cloudRunCost;
+/**
+ * Estimates the cost of a single project, and acts on it.
+ *
+ * @param {string} projectId - The monitored project.
+ * @param {string|null} budgetId - The budget the project is evaluated against.
+ * @param {number} startOfMonthTs - Start of the billing period (seconds).
+ * @param {boolean} testMode - Whether monitoring is in test mode.
+ */
+const monitorProject = async (
+  projectId,
+  budgetId,
+  startOfMonthTs,
+  testMode,
+) => {
+  // A project without billing accrues no costs, e.g. once it was stopped
+  const billingAccountId = await getBillingAccountId(projectId);
+  if (!billingAccountId) {
+    log(`ℹ️ Billing is not enabled for ${projectId}, skipping.`);
+    return;
+  }
+
+  // The estimators price in the currency of the budget
+  const { amount: budgetAmount, currencyCode } = await fetchBudget(
+    projectId,
+    budgetId,
+    billingAccountId,
+  );
+  const currency = getCurrency(currencyCode);
+
+  const serviceCosts = await Promise.all(
+    MONITORED_SERVICES.map(({ estimate }) =>
+      estimate(projectId, startOfMonthTs, currency),
+    ),
+  );
+
+  const services = {};
+  const hourlyCosts = {};
+  let totalCost = 0;
+  MONITORED_SERVICES.forEach(({ key }, i) => {
+    // The hourly series are only needed for forecasting and burn
+    // rates, and would bloat the snapshot
+    const { hourlyCost, ...serviceCost } = serviceCosts[i];
+    services[key] = serviceCost;
+    hourlyCosts[key] = hourlyCost;
+    totalCost += serviceCost.totalCost;
+  });
+
+  const forecast = getForecast(
+    totalCost,
+    mergeHourly(...Object.values(hourlyCosts)),
+    startOfMonthTs,
+    budgetAmount,
+    currency.code,
+  );
+
+  const burnRates = getBurnRates(hourlyCosts, currency.code, startOfMonthTs);
+
+  const snapshot = {
+    projectId,
+    startOfMonthTs,
+    budgetAmount,
+    currencyCode: currency.code,
+    totalCost,
+    services,
+    forecast,
+    burnRates,
+  };
+
+  // Only forecasts which are not already covered by actual spend
+  if (forecast?.exceeded && totalCost <= budgetAmount) {
+    const disabled = await handleForecastExceeded(snapshot, testMode);
+    if (disabled) return;
+  }
+
+  const burnRateDisabled = await handleBurnRates(snapshot, testMode);
+  if (burnRateDisabled) return;
+
+  await handleServiceBudgets(snapshot, testMode);
+
+  const tiers = getActionTiers(process.env.BUDGET_ACTION_TIERS);
+  if (tiers.length > 0) {
+    const fraction = totalCost / budgetAmount;
+    const reached = getReachedTiers(tiers, fraction);
+    log(
+      `ℹ️ Monitored usage ${formatAmount(totalCost, currency.code)} is ${(fraction * 100).toFixed(1)}% of the budget of ${formatAmount(budgetAmount, currency.code)}.`,
+    );
+    await saveSnapshot({
+      ...snapshot,
+      decision: reached.length > 0 ? "action_tiers" : "within_budget",
+      actions: reached.map(getTierKey),
+    });
+    await pruneSnapshots();
+    await executeActionTiers(fraction, {
+      dryRun: testMode || isDryRun(),
+      projectId,
+    });
+    return;
+  }
 
   if (totalCost <= budgetAmount) {
     log(
-      `✅ Monitored usage $${totalCost.toFixed(2)} is within the budget of $${budgetAmount.toFixed(2)}.`,
+      `✅ Monitored usage ${formatAmount(totalCost, currency.code)} is within the budget of ${formatAmount(budgetAmount, currency.code)}.`,
     );
+    await saveSnapshot({ ...snapshot, decision: "within_budget" });
+    await pruneSnapshots();
     return;
   }
 
   log(
-    `🚨 Firestore cost of $${totalCost.toFixed(2)} has exceeded the budget of $${budgetAmount.toFixed(2)}.`,
+    `🚨 Monitored usage of ${projectId} of ${formatAmount(totalCost, currency.code)} has exceeded the budget of ${formatAmount(budgetAmount, currency.code)}.`,
   );
 
-  if (MONITORING_ENABLED === "test") {
+  if (testMode) {
     log(
-      "⚠️ Monitoring is in test mode - disable strategy will not be executed.",
+      "⚠️ Monitoring is in test mode - disable strategy will be simulated.",
     );
+    await sendNotification({
+      event: EVENT_WARNING,
+      title: "Monitored usage exceeds the budget (test mode)",
+      message: `Monitored usage of ${formatAmount(totalCost, currency.code)} has exceeded the budget of ${formatAmount(budgetAmount, currency.code)}. Monitoring is in test mode, so the disable strategy was not executed.`,
+      details: { totalCost, budgetAmount, currencyCode: currency.code },
+      projectId,
+    });
+    await saveSnapshot({ ...snapshot, decision: "over_budget_test_mode" });
+    await pruneSnapshots();
+    await executeDisable({ dryRun: true, projectId });
   } else {
-    await executeDisable();
+    // Save the snapshot before acting, as the disable strategy may
+    // take down the function itself
+    await saveSnapshot({ ...snapshot, decision: "disable_strategy_executed" });
+    await executeDisable({ projectId });
     log("✅ Disable strategy executed.");
   }
 };
 
-const fetchBudget = async (projectId) => {
-  const [billingAccountInfo] = await billingClient.getProjectBillingInfo({
-    name: `projects/${projectId}`,
+/**
+ * Forecasts the cost at the end of the billing period, if enabled.
+ *
+ * @param {number} totalCost - The cost so far in the billing period.
+ * @param {object} hourlyCost - Cost per hour for all monitored services.
+ * @param {number} startOfMonthTs - Start of the billing period (seconds).
+ * @param {number} budgetAmount - The budget amount.
+ * @param {string} currencyCode - The currency of the budget.
+ * @returns {object|null} The forecast, or null if disabled or too early.
+ */
+const getForecast = (
+  totalCost,
+  hourlyCost,
+  startOfMonthTs,
+  budgetAmount,
+  currencyCode,
+) => {
+  const mode = process.env.MONITOR_FORECAST_MODE;
+  if (mode !== FORECAST_MODE_WARN && mode !== FORECAST_MODE_ACT) return null;
+
+  let multiplier = parseFloat(process.env.MONITOR_FORECAST_BUDGET_MULTIPLIER);
+  if (!isFinite(multiplier) || multiplier <= 0) {
+    error(
+      `Invalid forecast budget multiplier: ${process.env.MONITOR_FORECAST_BUDGET_MULTIPLIER}. Using default of 1.0.`,
+    );
+    multiplier = 1.0;
+  }
+
+  const recentHours = parseInt(process.env.MONITOR_FORECAST_RECENT_HOURS, 10);
+  const result = forecastPeriodCost({
+    totalCost,
+    hourlyCost,
+    periodStartTs: startOfMonthTs,
+    periodEndTs: getBillingPeriodEnd().unix(),
+    nowTs: Math.floor(Date.now() / 1000),
+    recentHours: recentHours > 0 ? recentHours : undefined,
+  });
+
+  if (!result) {
+    log("Too early in the billing period to forecast the cost.");
+    return null;
+  }
+
+  const limit = budgetAmount * multiplier;
+  log(
+    `Forecasted cost at the end of the billing period: ${formatAmount(result.forecast, currencyCode)} (linear ${formatAmount(result.linear, currencyCode)}, recent rate ${formatAmount(result.recent, currencyCode)}). Limit is ${formatAmount(limit, currencyCode)} (${multiplier}x budget).`,
+  );
+
+  return { mode, ...result, limit, exceeded: result.forecast > limit };
+};
+
+/**
+ * Warns, or executes the disable strategy, once per billing period
+ * when the forecast exceeds the limit.
+ *
+ * @param {object} snapshot - The monitoring result, including the forecast.
+ * @param {boolean} testMode - Whether monitoring is in test mode.
+ * @returns {Promise<boolean>} True if the disable strategy was executed.
+ */
+const handleForecastExceeded = async (snapshot, testMode) => {
+  const { forecast, projectId } = snapshot;
+  const { currencyCode } = snapshot;
+  log(
+    `🚨 Forecasted cost of ${formatAmount(forecast.forecast, currencyCode)} exceeds the limit of ${formatAmount(forecast.limit, currencyCode)}.`,
+  );
+
+  if (testMode) {
+    log("⚠️ Monitoring is in test mode - forecast will not be acted on.");
+    if (forecast.mode === FORECAST_MODE_ACT) {
+      await executeDisable({ dryRun: true, projectId });
+    }
+    return false;
+  }
+
+  const claim = {
+    docId: getProjectStateDocId(FORECAST_STATE_DOC, projectId),
+    periodKey: getBillingPeriodKey(),
+    key: forecast.mode,
+  };
+
+  if (forecast.mode === FORECAST_MODE_WARN) {
+    const claimed = await claimOrFailOpen(
+      claim.docId,
+      claim.periodKey,
+      claim.key,
+    );
+    if (!claimed) {
+      log("ℹ️ Forecast already acted on this billing period.");
+      return false;
+    }
+
+    await sendNotification({
+      event: EVENT_WARNING,
+      title: "Forecasted cost exceeds the budget",
+      message: `The cost at the end of the billing period is forecasted to be ${formatAmount(forecast.forecast, currencyCode)}, which exceeds the limit of ${formatAmount(forecast.limit, currencyCode)}.`,
+      details: forecast,
+      projectId,
+    });
+    return false;
+  }
+
+  // The claim is released when the disable fails, so the next
+  // monitoring run retries it
+  const claimed = await runOncePerPeriod(claim, async () => {
+    // Save the snapshot before acting, as the disable strategy may
+    // take down the function itself
+    await saveSnapshot({ ...snapshot, decision: "forecast_disable_executed" });
+    await executeDisable({ projectId });
+  });
+  if (!claimed) {
+    log("ℹ️ Forecast already acted on this billing period.");
+    return false;
+  }
+  log("✅ Disable strategy executed based on forecast.");
+  return true;
+};
+
+/**
+ * Calculates the hourly burn rate of every service which has a spend per
+ * hour ceiling, or of every service if spike detection is enabled.
+ *
+ * @param {object} hourlyCosts - Cost per hour, keyed by service.
+ * @param {string} currencyCode - The currency of the budget.
+ * @param {number} startOfMonthTs - Start of the billing period (seconds).
+ * @returns {object} Burn rates, keyed by service.
+ */
+const getBurnRates = (hourlyCosts, currencyCode, startOfMonthTs) => {
+  const limits = parseBurnRateLimits(
+    process.env.MONITOR_BURN_RATE_LIMITS,
+    MONITORED_SERVICES.map(({ key }) => key),
+  );
+  const spikeFactor = parseFloat(process.env.MONITOR_BURN_RATE_SPIKE_FACTOR);
+  const nowTs = Math.floor(Date.now() / 1000);
+
+  const burnRates = {};
+  Object.entries(hourlyCosts).forEach(([key, hourlyCost]) => {
+    if (!limits[key] && !(spikeFactor > 0)) return;
+
+    const burnRate = getBurnRate({
+      hourlyCost,
+      nowTs,
+      periodStartTs: startOfMonthTs,
+      limit: limits[key],
+      spikeFactor,
+    });
+    log(
+      `Burn rate for ${key}: ${formatAmount(burnRate.currentRate, currencyCode)}/hour (trailing average ${formatAmount(burnRate.trailingAverage, currencyCode)}/hour${limits[key] ? `, limit ${limits[key]} ${currencyCode}/hour` : ""}).`,
+    );
+    burnRates[key] = { ...burnRate, limit: limits[key] ?? null };
+  });
+  return burnRates;
+};
+
+/**
+ * Warns about burn rate spikes once per service and billing period, and
+ * executes the disable strategy once per billing period when a service
+ * exceeds its ceiling.
+ *
+ * @param {object} snapshot - The monitoring result, including burn rates.
+ * @param {boolean} testMode - Whether monitoring is in test mode.
+ * @returns {Promise<boolean>} True if the disable strategy was executed.
+ */
+const handleBurnRates = async (snapshot, testMode) => {
+  const burnRates = Object.entries(snapshot.burnRates);
+  const { currencyCode, projectId } = snapshot;
+
+  for (const [key, burnRate] of burnRates.filter(([, rate]) => rate.spike)) {
+    log(
+      `⚠️ Burn rate spike for ${key}: ${formatAmount(burnRate.currentRate, currencyCode)}/hour is more than ${process.env.MONITOR_BURN_RATE_SPIKE_FACTOR}x the trailing average of ${formatAmount(burnRate.trailingAverage, currencyCode)}/hour.`,
+    );
+    if (testMode) continue;
+
+    const claimed = await claimOrFailOpen(
+      getProjectStateDocId(BURN_RATE_STATE_DOC, projectId),
+      getBillingPeriodKey(),
+      `spike:${key}`,
+    );
+    if (!claimed) continue;
+
+    await sendNotification({
+      event: EVENT_WARNING,
+      title: `Burn rate spike for ${key}`,
+      message: `The hourly cost of ${key} is ${formatAmount(burnRate.currentRate, currencyCode)}, more than ${process.env.MONITOR_BURN_RATE_SPIKE_FACTOR}x the trailing average of ${formatAmount(burnRate.trailingAverage, currencyCode)}.`,
+      details: { service: key, ...burnRate },
+      projectId,
+    });
+  }
+
+  const exceeded = burnRates.filter(([, rate]) => rate.limitExceeded);
+  if (exceeded.length === 0) return false;
+
+  exceeded.forEach(([key, burnRate]) => {
+    log(
+      `🚨 Burn rate for ${key} of ${formatAmount(burnRate.currentRate, currencyCode)}/hour has exceeded the limit of ${burnRate.limit} ${currencyCode}/hour.`,
+    );
   });
-  const { billingAccountName } = billingAccountInfo; // billingAccounts/000000-000000-000000
-  const billingAccountId = billingAccountName.split("/")[1];
 
-  const budgetId = process.env.MONITOR_BUDGET_ID;
+  if (testMode) {
+    log(
+      "⚠️ Monitoring is in test mode - disable strategy will be simulated.",
+    );
+    await executeDisable({ dryRun: true, projectId });
+    return false;
+  }
+
+  const claimed = await runOncePerPeriod(
+    {
+      docId: getProjectStateDocId(BURN_RATE_STATE_DOC, projectId),
+      periodKey: getBillingPeriodKey(),
+      key: BURN_RATE_LIMIT_CLAIM_KEY,
+      details: { services: exceeded.map(([key]) => key) },
+    },
+    async () => {
+      // Save the snapshot before acting, as the disable strategy may
+      // take down the function itself
+      await saveSnapshot({
+        ...snapshot,
+        decision: "burn_rate_disable_executed",
+      });
+      await executeDisable({ projectId });
+    },
+  );
+  if (!claimed) {
+    log("ℹ️ Burn rate limit already acted on this billing period.");
+    return false;
+  }
+  log("✅ Disable strategy executed based on burn rate.");
+  return true;
+};
+
+/**
+ * Disables the API of every service whose cost alone exceeds its budget
+ * in MONITOR_SERVICE_BUDGETS, once per service and billing period. The
+ * rest of the project keeps running. MONITOR_AUTH_COST_LIMIT is the
+ * budget of Authentication unless it is listed.
+ *
+ * @param {object} snapshot - The monitoring result.
+ * @param {boolean} testMode - Whether monitoring is in test mode.
+ */
+const handleServiceBudgets = async (snapshot, testMode) => {
+  const budgets = parseServiceBudgets(
+    process.env.MONITOR_SERVICE_BUDGETS,
+    MONITORED_SERVICES.map(({ key }) => key),
+  );
+  const authLimit = parseFloat(process.env.MONITOR_AUTH_COST_LIMIT);
+  if (authLimit > 0) budgets.authentication ??= authLimit;
+
+  const { currencyCode, projectId } = snapshot;
+  const periodKey = getBillingPeriodKey();
+  const stateDoc = getProjectStateDocId(SERVICE_BUDGET_STATE_DOC, projectId);
+  const exceeded = getExceededServiceBudgets(snapshot.services, budgets);
+
+  for (const { key, cost, budget } of exceeded) {
+    const { api } = MONITORED_SERVICES.find((service) => service.key === key);
+    log(
+      `🚨 Cost of ${key} of ${formatAmount(cost, currencyCode)} has exceeded its budget of ${formatAmount(budget, currencyCode)}.`,
+    );
+
+    if (testMode || isDryRun()) {
+      log(`⚠️ ${api} will not be disabled - simulating instead.`);
+      logDryRunPlan(
+        await executeDisableAPI([api], { dryRun: true, projectId }),
+      );
+      continue;
+    }
+
+    const claimed = await runOncePerPeriod(
+      {
+        docId: stateDoc,
+        periodKey,
+        key: `disable:${key}`,
+        details: { cost, budget, api },
+      },
+      () => executeDisableAPI([api], { projectId }),
+    );
+    log(
+      claimed
+        ? `✅ ${api} disabled.`
+        : `ℹ️ ${api} already disabled this billing period.`,
+    );
+  }
+};
+
+/**
+ * @param {string} projectId - The monitored project.
+ * @param {string|null} budgetId - The budget the project is evaluated against.
+ * @param {string} billingAccountId - The billing account of the project.
+ * @returns {Promise<{amount: number, currencyCode: string}>} The budget.
+ */
+const fetchBudget = async (projectId, budgetId, billingAccountId) => {
   if (typeof budgetId !== "string" || budgetId.length === 0) {
-    error("Budget ID is not set or invalid:", budgetId);
+    error(`Budget ID for ${projectId} is not set or invalid:`, budgetId);
     throw new Error(
-      "The budget ID is not set or invalid. Please re-initialize the extension with a valid budget ID.",
+      `The budget ID for ${projectId} is not set or invalid. Please re-initialize the extension with a valid budget ID, or create a budget scoped to ${projectId} alone.`,
     );
   }
 
-  const budgetPath = await budgetClient.budgetPath(billingAccountId, budgetId);
   const [budgetData] = await budgetClient.getBudget({
-    name: budgetPath,
-    budgetFilter: {
-      projects: [`projects/${projectId}`],
-    },
+    name: budgetClient.budgetPath(billingAccountId, budgetId),
   });
 
-  const currency = budgetData?.amount?.specifiedAmount?.currencyCode;
-  if (currency !== "USD") {
+  const currencyCode = budgetData?.amount?.specifiedAmount?.currencyCode;
+  if (typeof currencyCode !== "string" || currencyCode.length === 0) {
     throw new Error(
-      `Budget currency is not in USD - only budgets in USD are supported. Currency is set to: ${currency}`,
+      "Budget currency is not set - only budgets with a specified amount are supported.",
     );
   }
 
@@ -111,5 +582,5 @@ const fetchBudget = async (projectId) => {
     );
   }
 
-  return budgetAmount;
+  return { amount: budgetAmount, currencyCode };
 };
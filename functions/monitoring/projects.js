@@ -0,0 +1,168 @@
+import { log, error } from "firebase-functions/logger";
+import { CloudBillingClient } from "@google-cloud/billing";
+import { BudgetServiceClient } from "@google-cloud/billing-budgets";
+import { ProjectsClient } from "@google-cloud/resource-manager";
+import { listBillingAccountProjects } from "../budget.js";
+import { parseProjectList, filterProjects } from "../alert-scope.js";
+
+const billingClient = new CloudBillingClient();
+const budgetClient = new BudgetServiceClient();
+const projectsClient = new ProjectsClient();
+
+// Monitors every project linked to the billing account
+const ALL_PROJECTS = "*";
+
+const PROJECT_ID_PATTERN = /^[a-z][a-z0-9-]{4,28}[a-z0-9]$/;
+
+/**
+ * Parses the monitored projects, e.g. `project-a:budget-id,project-b`, or
+ * `*` for every project on the billing account.
+ *
+ * @param {string} config - The MONITOR_PROJECTS configuration.
+ * @returns {{all: boolean, projects: {projectId: string,
+ *   budgetId: string|null}[]}} The monitored projects. Projects without a
+ *   budget ID use the budget scoped to that project alone.
+ */
+export const parseMonitoredProjects = (config) => {
+  if (typeof config !== "string" || config.trim().length === 0) {
+    return { all: false, projects: [] };
+  }
+  if (config.trim() === ALL_PROJECTS) return { all: true, projects: [] };
+
+  const projects = config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry) => {
+      const [projectId, budgetId] = entry.split(":").map((part) => part.trim());
+      if (!PROJECT_ID_PATTERN.test(projectId)) {
+        throw new Error(
+          `Invalid monitored project "${entry}" - expected a project ID, optionally followed by :budgetId.`,
+        );
+      }
+      return { projectId, budgetId: budgetId || null };
+    });
+
+  return { all: false, projects };
+};
+
+/**
+ * @param {string} projectId - The project ID.
+ * @returns {Promise<string|null>} The billing account ID linked to the
+ * project, e.g. 000000-000000-000000, or null if billing is not enabled,
+ * e.g. because the project was stopped.
+ */
+export const getBillingAccountId = async (projectId) => {
+  const [billingInfo] = await billingClient.getProjectBillingInfo({
+    name: `projects/${projectId}`,
+  });
+  if (!billingInfo.billingAccountName) return null;
+  return billingInfo.billingAccountName.split("/")[1];
+};
+
+/**
+ * Finds the budgets which are scoped to exactly one project.
+ *
+ * @param {string} billingAccountId - The billing account ID.
+ * @returns {Promise<object>} Budget ID, keyed by project number.
+ */
+const listProjectBudgets = async (billingAccountId) => {
+  const budgets = {};
+  for await (const budget of budgetClient.listBudgetsAsync({
+    parent: `billingAccounts/${billingAccountId}`,
+  })) {
+    const projects = budget.budgetFilter?.projects ?? [];
+    if (projects.length !== 1) continue;
+
+    // projects/123456789012
+    const projectNumber = projects[0].split("/")[1];
+    budgets[projectNumber] ??= budget.name.split("/").pop();
+  }
+  return budgets;
+};
+
+/**
+ * Resolves the projects to monitor and the budget each one is evaluated
+ * against. Without MONITOR_PROJECTS, only the project the extension is
+ * installed in is monitored, against MONITOR_BUDGET_ID. Projects excluded
+ * by the allow and deny lists are never monitored.
+ *
+ * @param {string} ownProjectId - The project the extension is installed in.
+ * @returns {Promise<{projectId: string, budgetId: string|null}[]>} The
+ * monitored projects. The budget ID is null if no budget was found.
+ */
+export const getMonitoredProjects = async (ownProjectId) => {
+  const ownBudgetId = process.env.MONITOR_BUDGET_ID || null;
+  const { all, projects } = parseMonitoredProjects(
+    process.env.MONITOR_PROJECTS,
+  );
+  if (!all && projects.length === 0) {
+    return [{ projectId: ownProjectId, budgetId: ownBudgetId }];
+  }
+
+  // Without billing on the own project, its billing account is unknown, so
+  // neither the projects on it nor their budgets can be discovered
+  const billingAccountId = await getBillingAccountId(ownProjectId);
+  if (all && !billingAccountId) {
+    log(
+      `ℹ️ Billing is not enabled for ${ownProjectId}, the projects on its billing account can not be listed.`,
+    );
+    return [];
+  }
+  const candidates = all
+    ? (await listBillingAccountProjects(billingAccountId)).map((projectId) => ({
+        projectId,
+        budgetId: null,
+      }))
+    : projects;
+  const allowed = filterProjects(
+    candidates.map(({ projectId }) => projectId),
+    {
+      allow: parseProjectList(process.env.PROJECT_ALLOW_LIST),
+      deny: parseProjectList(process.env.PROJECT_DENY_LIST),
+    },
+  );
+  const monitored = candidates.filter(({ projectId }) =>
+    allowed.includes(projectId),
+  );
+
+  // The own project falls back to MONITOR_BUDGET_ID, other projects to
+  // the budget scoped to them alone
+  const withBudgets = monitored.map(({ projectId, budgetId }) => ({
+    projectId,
+    budgetId: budgetId ?? (projectId === ownProjectId ? ownBudgetId : null),
+  }));
+  const projectBudgets =
+    billingAccountId && withBudgets.some(({ budgetId }) => !budgetId)
+      ? await listProjectBudgets(billingAccountId)
+      : {};
+
+  const resolved = [];
+  for (const { projectId, budgetId } of withBudgets) {
+    if (budgetId) {
+      resolved.push({ projectId, budgetId });
+      continue;
+    }
+
+    // A project which can not be looked up is still monitored, and
+    // reports its missing budget without stopping the others
+    try {
+      const [project] = await projectsClient.getProject({
+        name: `projects/${projectId}`,
+      });
+      const projectNumber = project.name.split("/")[1];
+      resolved.push({
+        projectId,
+        budgetId: projectBudgets[projectNumber] ?? null,
+      });
+    } catch (e) {
+      error(`Failed to look up the budget of ${projectId}:`, e);
+      resolved.push({ projectId, budgetId: null });
+    }
+  }
+
+  log(
+    `Monitoring ${resolved.length} project(s): ${resolved.map(({ projectId }) => projectId).join(", ")}`,
+  );
+  return resolved;
+};
@@ -0,0 +1,194 @@
+import {
+  createRequest,
+  getMonitoringClient,
+  addToHourly,
+  toHourlyCost,
+  mergeHourly,
+} from "./cloudMonitoring.js";
+import { log } from "firebase-functions/logger";
+import getPrice from "./getPrice.js";
+import { formatAmount } from "./currency.js";
+import { getBillingPeriodEnd } from "../billing-period.js";
+
+const DEFAULT_RTDB_DOWNLOAD_COST = 1.0; // USD per GB
+const DEFAULT_RTDB_STORAGE_COST = 5.0; // USD per GB-month
+
+// The free tier is shared by every database instance in the project
+const FREE_DOWNLOAD_BYTES_PER_MONTH = 10 * 1024 * 1024 * 1024; // 10 GB
+const FREE_STORED_BYTES = 1 * 1024 * 1024 * 1024; // 1 GB
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/**
+ * @param {object} point - A point returned by the Monitoring API.
+ * @returns {number} The value of the point in bytes.
+ */
+const getBytes = (point) => {
+  // Gauge metrics aligned with ALIGN_MEAN are returned as doubles
+  const bytes = Number(point.value.doubleValue ?? point.value.int64Value);
+  if (!isFinite(bytes)) {
+    throw new Error("Invalid byte count - NaN/Infinite");
+  } else if (bytes < 0) {
+    throw new Error("Invalid byte count - must be greater than 0");
+  }
+  return bytes;
+};
+
+/**
+ * @param {object} entry - A time series returned by the Monitoring API.
+ * @returns {string} The database instance of the time series.
+ */
+const getInstanceName = (entry) =>
+  entry?.resource?.labels?.table_name ?? "unknown_instance";
+
+export const getRealtimeDatabaseCost = async (
+  projectId,
+  startOfMonthTs,
+  currency,
+) => {
+  const monitoringClient = getMonitoringClient();
+
+  const downloadRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "firebasedatabase.googleapis.com/network/sent_bytes_count",
+  );
+  const storageRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "firebasedatabase.googleapis.com/storage/total_bytes",
+    "ALIGN_MEAN",
+  );
+
+  const [[downloadResponse], [storageResponse]] = await Promise.all([
+    monitoringClient.listTimeSeries(downloadRequest),
+    monitoringClient.listTimeSeries(storageRequest),
+  ]);
+
+  const downloadPrice = getPrice(
+    "Realtime Database Download",
+    process.env.MONITOR_RTDB_DOWNLOAD_COST,
+    DEFAULT_RTDB_DOWNLOAD_COST,
+    0.1,
+    10.0,
+    currency,
+  );
+  const storagePrice = getPrice(
+    "Realtime Database Storage",
+    process.env.MONITOR_RTDB_STORAGE_COST,
+    DEFAULT_RTDB_STORAGE_COST,
+    0.5,
+    50.0,
+    currency,
+  );
+
+  log(`Realtime Database usage:`);
+
+  // Download bandwidth, per instance
+  const downloadBytes = {};
+  const hourlyDownloadBytes = {};
+  let totalDownloadBytes = 0;
+  downloadResponse.forEach((entry) => {
+    const instance = getInstanceName(entry);
+    entry.points.forEach((point) => {
+      const bytes = getBytes(point);
+      if (bytes === 0) return;
+      downloadBytes[instance] = (downloadBytes[instance] ?? 0) + bytes;
+      addToHourly(hourlyDownloadBytes, point, bytes);
+      totalDownloadBytes += bytes;
+    });
+  });
+
+  const paidDownloadBytes = Math.max(
+    0,
+    totalDownloadBytes - FREE_DOWNLOAD_BYTES_PER_MONTH,
+  );
+  const downloadCost = (paidDownloadBytes / BYTES_PER_GB) * downloadPrice;
+  log(
+    `  Download: ${totalDownloadBytes} bytes (${(totalDownloadBytes / BYTES_PER_GB).toFixed(2)} GB), ${paidDownloadBytes} paid bytes @ ${downloadPrice} ${currency.code}/GB = ${formatAmount(downloadCost, currency.code)}`,
+  );
+
+  // Storage is billed per GB-month, so every hour stored is charged
+  // a fraction of the monthly price for the bytes above the free tier
+  const hoursInPeriod = (getBillingPeriodEnd().unix() - startOfMonthTs) / 3600;
+  const storedBytesByInstance = {};
+  storageResponse.forEach((entry) => {
+    const instance = getInstanceName(entry);
+    const stored = {};
+    entry.points.forEach((point) => {
+      addToHourly(stored, point, getBytes(point));
+    });
+    storedBytesByInstance[instance] = stored;
+  });
+  const hourlyStoredBytes = mergeHourly(
+    ...Object.values(storedBytesByInstance),
+  );
+
+  const hourlyStorageCost = {};
+  Object.entries(hourlyStoredBytes).forEach(([hour, bytes]) => {
+    const paidBytes = Math.max(0, bytes - FREE_STORED_BYTES);
+    if (paidBytes === 0) return;
+    hourlyStorageCost[hour] =
+      ((paidBytes / BYTES_PER_GB) * storagePrice) / hoursInPeriod;
+  });
+  const storageCost = Object.values(hourlyStorageCost).reduce(
+    (a, b) => a + b,
+    0,
+  );
+
+  // Split both costs between the instances in proportion to their usage
+  const instances = {};
+  const instanceNames = new Set([
+    ...Object.keys(downloadBytes),
+    ...Object.keys(storedBytesByInstance),
+  ]);
+  instanceNames.forEach((instance) => {
+    const instanceDownloadCost =
+      totalDownloadBytes > 0
+        ? ((downloadBytes[instance] ?? 0) / totalDownloadBytes) * downloadCost
+        : 0;
+
+    let instanceStorageCost = 0;
+    Object.entries(storedBytesByInstance[instance] ?? {}).forEach(
+      ([hour, bytes]) => {
+        if (!hourlyStorageCost[hour]) return;
+        instanceStorageCost +=
+          (bytes / hourlyStoredBytes[hour]) * hourlyStorageCost[hour];
+      },
+    );
+
+    const latestStoredBytes = Object.entries(
+      storedBytesByInstance[instance] ?? {},
+    ).sort(([a], [b]) => Number(b) - Number(a))[0]?.[1];
+
+    log(
+      `  Instance ${instance}: ${downloadBytes[instance] ?? 0} bytes downloaded, ${Math.round(latestStoredBytes ?? 0)} bytes stored = ${formatAmount(instanceDownloadCost + instanceStorageCost, currency.code)}`,
+    );
+    instances[instance] = {
+      download: instanceDownloadCost,
+      storage: instanceStorageCost,
+      totalCost: instanceDownloadCost + instanceStorageCost,
+    };
+  });
+
+  const totalCost = downloadCost + storageCost;
+  log(
+    `  Storage: ${storagePrice} ${currency.code}/GB-month above ${FREE_STORED_BYTES} free bytes = ${formatAmount(storageCost, currency.code)}`,
+  );
+  log(
+    `  Total Realtime Database Cost: ${formatAmount(totalCost, currency.code)}`,
+  );
+
+  return {
+    totalCost,
+    breakdown: {
+      download: downloadCost,
+      storage: storageCost,
+    },
+    instances,
+    hourlyCost: mergeHourly(
+      toHourlyCost(hourlyDownloadBytes, downloadCost, paidDownloadBytes),
+      hourlyStorageCost,
+    ),
+  };
+};
@@ -0,0 +1,49 @@
+/**
+ * Parses the per-service budgets, e.g. `firestore:50,hosting:20`.
+ *
+ * @param {string} config - The MONITOR_SERVICE_BUDGETS configuration.
+ * @param {string[]} serviceKeys - The keys of the monitored services.
+ * @returns {object} Budget amount, keyed by service.
+ */
+export const parseServiceBudgets = (config, serviceKeys) => {
+  const budgets = {};
+  if (typeof config !== "string" || config.trim().length === 0) return budgets;
+
+  config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      const [key, amountStr] = entry.split(":").map((part) => part.trim());
+      if (!serviceKeys.includes(key)) {
+        throw new Error(
+          `Invalid service budget "${entry}" - service must be one of: ${serviceKeys.join(", ")}.`,
+        );
+      }
+
+      const amount = parseFloat(amountStr);
+      if (!isFinite(amount) || amount <= 0) {
+        throw new Error(
+          `Invalid service budget "${entry}" - amount must be a positive number.`,
+        );
+      }
+      budgets[key] = amount;
+    });
+
+  return budgets;
+};
+
+/**
+ * @param {object} services - Monitored cost, keyed by service.
+ * @param {object} budgets - Budget amount, keyed by service.
+ * @returns {{key: string, cost: number, budget: number}[]} The services
+ *   whose cost exceeds their own budget.
+ */
+export const getExceededServiceBudgets = (services, budgets) =>
+  Object.entries(budgets)
+    .map(([key, budget]) => ({
+      key,
+      cost: services[key]?.totalCost ?? 0,
+      budget,
+    }))
+    .filter(({ cost, budget }) => cost > budget);
@@ -0,0 +1,127 @@
+import { getFirestore, Timestamp } from "firebase-admin/firestore";
+import { log, error } from "firebase-functions/logger";
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Firestore batches are limited to 500 writes
+const PRUNE_BATCH_SIZE = 500;
+
+/**
+ * @returns {string|null} The configured snapshot collection, or null if
+ * snapshots are disabled.
+ */
+const getSnapshotCollection = () => {
+  const collection = process.env.MONITORING_SNAPSHOT_COLLECTION;
+  if (typeof collection !== "string" || collection.trim().length === 0) {
+    return null;
+  }
+  return collection.trim();
+};
+
+/**
+ * @returns {number} The number of days to keep snapshots for.
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.MONITORING_SNAPSHOT_RETENTION_DAYS, 10);
+  if (!isFinite(days) || days <= 0) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+  return days;
+};
+
+/**
+ * Persists the result of a monitoring run, so that spend can be charted
+ * over the billing period and decisions can be audited afterwards.
+ *
+ * @param {object} snapshot - The monitoring result.
+ * @param {string} snapshot.projectId - The monitored project.
+ * @param {number} snapshot.startOfMonthTs - Start of the billing period
+ *   (seconds).
+ * @param {number} snapshot.budgetAmount - The budget amount.
+ * @param {string} snapshot.currencyCode - The currency of the budget.
+ * @param {number} snapshot.totalCost - The total estimated cost.
+ * @param {object} snapshot.services - Per-service cost and breakdown.
+ * @param {object|null} [snapshot.forecast] - The month-end forecast, if any.
+ * @param {object} [snapshot.burnRates] - Hourly burn rates, keyed by service.
+ * @param {string} snapshot.decision - The decision taken by the monitor.
+ * @param {string[]} [snapshot.actions] - The action tiers reached, if any.
+ */
+export const saveSnapshot = async ({
+  projectId,
+  startOfMonthTs,
+  budgetAmount,
+  currencyCode,
+  totalCost,
+  services,
+  forecast = null,
+  burnRates = {},
+  decision,
+  actions = [],
+}) => {
+  const collection = getSnapshotCollection();
+  if (!collection) return;
+
+  try {
+    const ref = await getFirestore()
+      .collection(collection)
+      .add({
+        projectId,
+        createdAt: Timestamp.now(),
+        billingPeriodStart: Timestamp.fromMillis(startOfMonthTs * 1000),
+        budgetAmount,
+        currencyCode,
+        totalCost,
+        services,
+        forecast,
+        burnRates,
+        decision,
+        actions,
+      });
+    log(`Monitoring snapshot saved to ${collection}/${ref.id}`);
+  } catch (e) {
+    // Never let snapshot persistence get in the way of the monitor itself
+    error(`Failed to save monitoring snapshot to ${collection}:`, e);
+  }
+};
+
+/**
+ * Deletes snapshots older than the configured retention window.
+ */
+export const pruneSnapshots = async () => {
+  const collection = getSnapshotCollection();
+  if (!collection) return;
+
+  const retentionDays = getRetentionDays();
+  const cutoff = Timestamp.fromMillis(
+    Date.now() - retentionDays * 24 * 60 * 60 * 1000,
+  );
+
+  try {
+    const db = getFirestore();
+    let deleted = 0;
+    let batchSize = 0;
+    do {
+      const expired = await db
+        .collection(collection)
+        .where("createdAt", "<", cutoff)
+        .limit(PRUNE_BATCH_SIZE)
+        .get();
+
+      batchSize = expired.size;
+      if (batchSize === 0) break;
+
+      const batch = db.batch();
+      expired.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      deleted += batchSize;
+    } while (batchSize === PRUNE_BATCH_SIZE);
+
+    if (deleted > 0) {
+      log(
+        `Pruned ${deleted} monitoring snapshots older than ${retentionDays} days`,
+      );
+    }
+  } catch (e) {
+    error(`Failed to prune monitoring snapshots in ${collection}:`, e);
+  }
+};
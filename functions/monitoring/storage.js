@@ -1,11 +1,108 @@
-import { createRequest, getMonitoringClient } from "./cloudMonitoring.js";
+import {
+  createRequest,
+  getMonitoringClient,
+  addToHourly,
+  toHourlyCost,
+  mergeHourly,
+} from "./cloudMonitoring.js";
 import { log } from "firebase-functions/logger";
 import getPrice from "./getPrice.js";
+import { formatAmount } from "./currency.js";
+import { getBillingPeriodEnd } from "../billing-period.js";
 
 const DEFAULT_STORAGE_BANDWIDTH_COST = 0.12; // USD per GB
-const FREE_BANDWIDTH_QUOTA_BYTES = 100 * 1024 * 1024 * 1024; // 100 GB free quota
+const FREE_BANDWIDTH_QUOTA_BYTES = 100 * 1024 * 1024 * 1024; // 100 GB free
 
-export const getStorageCost = async (projectId, startOfMonthTs) => {
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Prices in us-central1, in USD per GB-month. Legacy classes are
+// priced as Standard storage.
+const STANDARD_STORAGE_CLASS = "STANDARD";
+const STORAGE_CLASS_PRICES = {
+  STANDARD: { param: "MONITOR_STORAGE_STANDARD_COST", defaultPrice: 0.02 },
+  NEARLINE: { param: "MONITOR_STORAGE_NEARLINE_COST", defaultPrice: 0.01 },
+  COLDLINE: { param: "MONITOR_STORAGE_COLDLINE_COST", defaultPrice: 0.004 },
+  ARCHIVE: { param: "MONITOR_STORAGE_ARCHIVE_COST", defaultPrice: 0.0012 },
+};
+const FREE_STORAGE_GB_MONTHS = 5;
+
+// Operations, see:
+// https://cloud.google.com/storage/pricing#operations-by-class
+const CLASS_A = "Class A";
+const CLASS_B = "Class B";
+const FREE_OPERATION = "Free";
+const CLASS_A_METHODS = new Set([
+  "ComposeObject",
+  "CopyObject",
+  "CreateBucket",
+  "CreateHmacKey",
+  "CreateNotification",
+  "InsertObject",
+  "ListBuckets",
+  "ListHmacKeys",
+  "ListNotifications",
+  "ListObjects",
+  "LockRetentionPolicy",
+  "PatchBucket",
+  "PatchObject",
+  "RewriteObject",
+  "SetIamPolicy",
+  "StartResumableWrite",
+  "UpdateBucket",
+  "UpdateHmacKey",
+  "UpdateObject",
+  "WriteObject",
+]);
+const FREE_METHODS = new Set([
+  "DeleteBucket",
+  "DeleteHmacKey",
+  "DeleteNotification",
+  "DeleteObject",
+]);
+const DEFAULT_CLASS_A_COST = 0.005; // USD per 1000 operations
+const DEFAULT_CLASS_B_COST = 0.0004; // USD per 1000 operations
+const FREE_CLASS_A_OPERATIONS = 5000;
+const FREE_CLASS_B_OPERATIONS = 50000;
+
+/**
+ * The free quota only applies to certain regions. See:
+ * https://cloud.google.com/storage/pricing#cloud-storage-always-free
+ *
+ * @param {object} entry - A time series returned by the Monitoring API.
+ * @returns {boolean} Whether the bucket is in a free quota region.
+ */
+const isQuotaRegion = (entry) => {
+  const location = entry?.resource?.labels?.location;
+  return (
+    location === "us-central1" ||
+    location === "us-west1" ||
+    location === "us-east1"
+  );
+};
+
+/**
+ * @param {object} entry - A storage/total_bytes time series.
+ * @returns {string} The storage class, legacy classes as Standard.
+ */
+const getStorageClass = (entry) => {
+  const storageClass = entry?.metric?.labels?.storage_class?.toUpperCase();
+  return STORAGE_CLASS_PRICES[storageClass]
+    ? storageClass
+    : STANDARD_STORAGE_CLASS;
+};
+
+/**
+ * @param {string} method - The API method of a request.
+ * @returns {string} The operation class of the method. Unknown methods
+ * are Class B, which covers the read operations.
+ */
+const getOperationClass = (method) => {
+  if (CLASS_A_METHODS.has(method)) return CLASS_A;
+  if (FREE_METHODS.has(method)) return FREE_OPERATION;
+  return CLASS_B;
+};
+
+export const getStorageCost = async (projectId, startOfMonthTs, currency) => {
   const monitoringClient = getMonitoringClient();
 
   const egressRequest = createRequest(
@@ -14,32 +111,32 @@ export const getStorageCost = async (projectId, startOfMonthTs) => {
     "storage.googleapis.com/network/sent_bytes_count",
   );
 
-  const [egressResponse] = await monitoringClient.listTimeSeries(egressRequest);
-
-  // Can be used to monitor total API requests if needed
-  // const apiRequest = createRequest(projectId, startOfMonthTs,
-  //     'storage.googleapis.com/api/request_count'
-  // );
-
-  // const [apiResponse] = await monitoringClient.listTimeSeries(apiRequest);
-  // const test = [];
-  // apiResponse.forEach(bucket => {
-  //     let entryBytes = 0;
-  //     bucket.points.forEach(point => {
-  //         if (point.value.int64Value === "0") return;
-  //         const parsedBytes = parseInt(point.value.int64Value, 10);
-  //         entryBytes += parsedBytes;
-  //     });
-  //     delete bucket.points;
-  //     test.push({ ...bucket, totalBytes: entryBytes });
-  // });
-  // return test;
+  const storageRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "storage.googleapis.com/storage/total_bytes",
+    "ALIGN_MEAN",
+  );
+
+  const apiRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "storage.googleapis.com/api/request_count",
+  );
+
+  const [[egressResponse], [storageResponse], [apiResponse]] =
+    await Promise.all([
+      monitoringClient.listTimeSeries(egressRequest),
+      monitoringClient.listTimeSeries(storageRequest),
+      monitoringClient.listTimeSeries(apiRequest),
+    ]);
 
   // NOTE: The free quota only applies to
   // certain regions. See:
   // https://cloud.google.com/storage/pricing#cloud-storage-always-free
   let egressBytesQuotaRegions = 0; // Egress bytes eligible for free quota
   let egressBytesOtherRegions = 0; // Egress bytes NOT eligible for free quota
+  const hourlyEgressBytes = {};
 
   log(`GCS Storage Bandwidth usage:`);
   if (egressResponse.length >= 100) {
@@ -59,6 +156,7 @@ export const getStorageCost = async (projectId, startOfMonthTs) => {
       }
 
       entryBytes += parsedBytes;
+      addToHourly(hourlyEgressBytes, point, parsedBytes);
     });
 
     const name = bucket?.resource?.labels?.bucket_name ?? "unknown";
@@ -69,13 +167,7 @@ export const getStorageCost = async (projectId, startOfMonthTs) => {
       );
     }
 
-    const location = bucket?.resource?.labels?.location;
-    const quotaRegion =
-      location === "us-central1" ||
-      location === "us-west1" ||
-      location === "us-east1";
-
-    if (quotaRegion) {
+    if (isQuotaRegion(bucket)) {
       egressBytesQuotaRegions += entryBytes;
     } else {
       egressBytesOtherRegions += entryBytes;
@@ -88,6 +180,7 @@ export const getStorageCost = async (projectId, startOfMonthTs) => {
     DEFAULT_STORAGE_BANDWIDTH_COST,
     0.01,
     5.0,
+    currency,
   );
 
   const quotaOvershootBytes = Math.max(
@@ -107,10 +200,222 @@ export const getStorageCost = async (projectId, startOfMonthTs) => {
 
   const billableEgressBytes = quotaOvershootBytes + egressBytesOtherRegions;
   const totalGB = billableEgressBytes / (1024 * 1024 * 1024);
-  const totalCost = totalGB * price;
+  const egressCost = totalGB * price;
+  log(
+    `  Total billable egress: ${billableEgressBytes} bytes (${totalGB.toFixed(2)} GB) @ ${price} ${currency.code}/GB = ${formatAmount(egressCost, currency.code)}`,
+  );
+
+  const atRest = getAtRestCost(storageResponse, startOfMonthTs, currency);
+  const operations = getOperationsCost(apiResponse, currency);
+
+  const totalCost = egressCost + atRest.totalCost + operations.totalCost;
+  log(`  Total Cloud Storage Cost: ${formatAmount(totalCost, currency.code)}`);
+
+  return {
+    totalCost,
+    breakdown: {
+      egress: egressCost,
+      storage: atRest.totalCost,
+      classAOperations: operations.classACost,
+      classBOperations: operations.classBCost,
+    },
+    storageClasses: atRest.storageClasses,
+    operations: operations.methods,
+    hourlyCost: mergeHourly(
+      toHourlyCost(hourlyEgressBytes, egressCost, billableEgressBytes),
+      atRest.hourlyCost,
+      operations.hourlyCost,
+    ),
+  };
+};
+
+/**
+ * Estimates the cost of the bytes stored so far in the billing period,
+ * per storage class. Storage is billed per GB-month, so every hour stored
+ * is charged a fraction of the monthly price.
+ *
+ * @param {object[]} storageResponse - The storage/total_bytes time series.
+ * @param {number} startOfMonthTs - Start of the billing period (seconds).
+ * @param {{code: string}} currency - The currency to price in.
+ * @returns {{totalCost: number, storageClasses: object, hourlyCost: object}}
+ * The cost, the cost per storage class and the cost per hour.
+ */
+const getAtRestCost = (storageResponse, startOfMonthTs, currency) => {
+  const prices = Object.fromEntries(
+    Object.entries(STORAGE_CLASS_PRICES).map(([storageClass, price]) => [
+      storageClass,
+      getPrice(
+        `Storage ${storageClass} GB-month`,
+        process.env[price.param],
+        price.defaultPrice,
+        price.defaultPrice / 10,
+        price.defaultPrice * 10,
+        currency,
+      ),
+    ]),
+  );
+  const hoursInPeriod = (getBillingPeriodEnd().unix() - startOfMonthTs) / 3600;
+
+  // Standard storage in the free quota regions shares the free GB-months
+  const hourlyFreeEligibleBytes = {};
+  const hourlyCostByClass = {};
+
+  log(`GCS Storage at rest:`);
+  storageResponse.forEach((bucket) => {
+    const storageClass = getStorageClass(bucket);
+    const freeEligible =
+      storageClass === STANDARD_STORAGE_CLASS && isQuotaRegion(bucket);
+    const hourlyCost = (hourlyCostByClass[storageClass] ??= {});
+
+    let byteHours = 0;
+    bucket.points.forEach((point) => {
+      const bytes = Number(point.value.doubleValue ?? point.value.int64Value);
+      if (!isFinite(bytes) || bytes < 0) {
+        throw new Error("Invalid byte count - must be a positive number");
+      }
+      byteHours += bytes;
+
+      if (freeEligible) {
+        addToHourly(hourlyFreeEligibleBytes, point, bytes);
+        return;
+      }
+      addToHourly(
+        hourlyCost,
+        point,
+        ((bytes / BYTES_PER_GB) * prices[storageClass]) / hoursInPeriod,
+      );
+    });
+
+    if (storageResponse.length < 100) {
+      const name = bucket?.resource?.labels?.bucket_name ?? "unknown";
+      log(
+        `  Bucket ${name} (${storageClass}): ${(byteHours / BYTES_PER_GB / hoursInPeriod).toFixed(4)} GB-months`,
+      );
+    }
+  });
+
+  // The free GB-months are used up in order, hour by hour
+  let freeGbMonthsLeft = FREE_STORAGE_GB_MONTHS;
+  const standardCost = (hourlyCostByClass[STANDARD_STORAGE_CLASS] ??= {});
+  Object.entries(hourlyFreeEligibleBytes)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .forEach(([hour, bytes]) => {
+      const gbMonths = bytes / BYTES_PER_GB / hoursInPeriod;
+      const freeGbMonths = Math.min(freeGbMonthsLeft, gbMonths);
+      freeGbMonthsLeft -= freeGbMonths;
+      if (gbMonths === freeGbMonths) return;
+
+      standardCost[hour] =
+        (standardCost[hour] ?? 0) +
+        (gbMonths - freeGbMonths) * prices[STANDARD_STORAGE_CLASS];
+    });
+
+  const storageClasses = {};
+  let totalCost = 0;
+  Object.entries(hourlyCostByClass).forEach(([storageClass, hourlyCost]) => {
+    const cost = Object.values(hourlyCost).reduce((a, b) => a + b, 0);
+    if (cost === 0) return;
+    storageClasses[storageClass] = cost;
+    totalCost += cost;
+    log(
+      `  ${storageClass} @ ${prices[storageClass]} ${currency.code}/GB-month = ${formatAmount(cost, currency.code)}`,
+    );
+  });
   log(
-    `  Total billable egress: ${billableEgressBytes} bytes (${totalGB.toFixed(2)} GB) @ $${price}/GB = $${totalCost.toFixed(2)}`,
+    `  Used ${(FREE_STORAGE_GB_MONTHS - freeGbMonthsLeft).toFixed(4)}/${FREE_STORAGE_GB_MONTHS} free GB-months`,
   );
 
-  return totalCost;
+  return {
+    totalCost,
+    storageClasses,
+    hourlyCost: mergeHourly(...Object.values(hourlyCostByClass)),
+  };
+};
+
+/**
+ * Estimates the cost of the Class A and Class B operations so far in the
+ * billing period. Operations are priced at the Standard storage rate.
+ *
+ * @param {object[]} apiResponse - The api/request_count time series.
+ * @param {{code: string}} currency - The currency to price in.
+ * @returns {{totalCost: number, classACost: number, classBCost: number,
+ *   methods: object, hourlyCost: object}} The cost, the number of
+ * operations per method and the cost per hour.
+ */
+const getOperationsCost = (apiResponse, currency) => {
+  const classAPrice = getPrice(
+    "Storage Class A operations",
+    process.env.MONITOR_STORAGE_CLASS_A_COST,
+    DEFAULT_CLASS_A_COST,
+    0.0005,
+    0.5,
+    currency,
+  );
+  const classBPrice = getPrice(
+    "Storage Class B operations",
+    process.env.MONITOR_STORAGE_CLASS_B_COST,
+    DEFAULT_CLASS_B_COST,
+    0.00004,
+    0.04,
+    currency,
+  );
+
+  const methods = {};
+  const counts = {
+    [CLASS_A]: { quotaRegions: 0, otherRegions: 0, hourly: {} },
+    [CLASS_B]: { quotaRegions: 0, otherRegions: 0, hourly: {} },
+  };
+
+  apiResponse.forEach((entry) => {
+    const method = entry?.metric?.labels?.method ?? "unknown";
+    const operationClass = getOperationClass(method);
+    let entryCount = 0;
+    entry.points.forEach((point) => {
+      const count = parseInt(point.value.int64Value, 10);
+      if (!isFinite(count) || count < 0) {
+        throw new Error("Invalid request count - must be a positive number");
+      }
+      if (count === 0) return;
+      entryCount += count;
+      if (operationClass !== FREE_OPERATION) {
+        addToHourly(counts[operationClass].hourly, point, count);
+      }
+    });
+
+    methods[method] ??= { operationClass, count: 0 };
+    methods[method].count += entryCount;
+    if (operationClass === FREE_OPERATION) return;
+
+    if (isQuotaRegion(entry)) {
+      counts[operationClass].quotaRegions += entryCount;
+    } else {
+      counts[operationClass].otherRegions += entryCount;
+    }
+  });
+
+  log(`GCS Storage operations:`);
+  Object.entries(methods).forEach(([method, { operationClass, count }]) => {
+    log(`  ${method} (${operationClass}): ${count} operations`);
+  });
+
+  const getClassCost = (operationClass, freeOperations, price) => {
+    const { quotaRegions, otherRegions, hourly } = counts[operationClass];
+    const paid = Math.max(0, quotaRegions - freeOperations) + otherRegions;
+    const cost = (paid / 1000) * price;
+    log(
+      `  ${operationClass}: ${paid} paid operations @ ${price} ${currency.code}/1000 = ${formatAmount(cost, currency.code)}. Used ${Math.min(freeOperations, quotaRegions)}/${freeOperations} free operations`,
+    );
+    return { cost, hourlyCost: toHourlyCost(hourly, cost, paid) };
+  };
+
+  const classA = getClassCost(CLASS_A, FREE_CLASS_A_OPERATIONS, classAPrice);
+  const classB = getClassCost(CLASS_B, FREE_CLASS_B_OPERATIONS, classBPrice);
+
+  return {
+    totalCost: classA.cost + classB.cost,
+    classACost: classA.cost,
+    classBCost: classB.cost,
+    methods,
+    hourlyCost: mergeHourly(classA.hourlyCost, classB.hourlyCost),
+  };
 };
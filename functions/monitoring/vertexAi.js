@@ -0,0 +1,207 @@
+import {
+  createRequest,
+  getMonitoringClient,
+  addToHourly,
+} from "./cloudMonitoring.js";
+import { log } from "firebase-functions/logger";
+import { formatAmount } from "./currency.js";
+
+// Prices in USD per million tokens, as of publishing. Models are matched
+// by the longest prefix, so versioned models such as gemini-2.0-flash-001
+// use the price of their family. See:
+// https://cloud.google.com/vertex-ai/generative-ai/pricing
+const DEFAULT_TOKEN_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10.0 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.15, output: 0.6 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, output: 5.0 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+};
+
+// Unknown models are priced like the most expensive default, so new
+// models are never underestimated
+const UNKNOWN_MODEL_PRICE = DEFAULT_TOKEN_PRICES["gemini-2.5-pro"];
+
+const TOKEN_TYPE_INPUT = "input";
+const TOKEN_TYPE_OUTPUT = "output";
+
+/**
+ * Parses the per-model token prices, e.g.
+ * `gemini-2.0-flash:0.15:0.6,gemini-2.5-pro:1.25:10`.
+ *
+ * @param {string} config - The MONITOR_VERTEX_AI_TOKEN_PRICES configuration.
+ * @returns {object} Input and output price per million tokens, keyed by model.
+ */
+export const parseTokenPrices = (config) => {
+  const prices = {};
+  if (typeof config !== "string" || config.trim().length === 0) return prices;
+
+  config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      const [model, inputStr, outputStr] = entry
+        .split(":")
+        .map((part) => part.trim());
+      const input = parseFloat(inputStr);
+      const output = parseFloat(outputStr);
+      if (
+        !model ||
+        !isFinite(input) ||
+        !isFinite(output) ||
+        input < 0 ||
+        output < 0
+      ) {
+        throw new Error(
+          `Invalid token price "${entry}" - expected model:input:output, with prices per million tokens.`,
+        );
+      }
+      prices[model] = { input, output };
+    });
+
+  return prices;
+};
+
+/**
+ * @param {string} model - The model ID reported by Cloud Monitoring.
+ * @param {object} prices - Prices keyed by model or model prefix.
+ * @returns {string|undefined} The longest key of `prices` matching the model.
+ */
+export const findModelPrice = (model, prices) =>
+  Object.keys(prices)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+/**
+ * Resolves the price of a model in the budget currency. Configured prices
+ * take precedence over the converted defaults.
+ *
+ * @param {string} model - The model ID.
+ * @param {object} customPrices - Prices from MONITOR_VERTEX_AI_TOKEN_PRICES.
+ * @param {{code: string, rate: number|null}} currency - The currency to
+ *   price in.
+ * @returns {{input: number, output: number}} Price per million tokens.
+ */
+const getModelPrice = (model, customPrices, currency) => {
+  const customKey = findModelPrice(model, customPrices);
+  if (customKey) return customPrices[customKey];
+
+  if (currency.rate === null) {
+    throw new Error(
+      `No token price set for ${model}, and no exchange rate configured for ${currency.code}. Set the price in ${currency.code}, or add ${currency.code} to the exchange rates.`,
+    );
+  }
+  const defaultKey = findModelPrice(model, DEFAULT_TOKEN_PRICES);
+  const price = DEFAULT_TOKEN_PRICES[defaultKey] ?? UNKNOWN_MODEL_PRICE;
+  return {
+    input: price.input * currency.rate,
+    output: price.output * currency.rate,
+  };
+};
+
+export const getVertexAiCost = async (projectId, startOfMonthTs, currency) => {
+  const monitoringClient = getMonitoringClient();
+
+  const tokenRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "aiplatform.googleapis.com/publisher/online_serving/token_count",
+  );
+  const invocationRequest = createRequest(
+    projectId,
+    startOfMonthTs,
+    "aiplatform.googleapis.com/publisher/online_serving/model_invocation_count",
+  );
+
+  const [[tokenResponse], [invocationResponse]] = await Promise.all([
+    monitoringClient.listTimeSeries(tokenRequest),
+    monitoringClient.listTimeSeries(invocationRequest),
+  ]);
+
+  const customPrices = parseTokenPrices(
+    process.env.MONITOR_VERTEX_AI_TOKEN_PRICES,
+  );
+
+  const models = {};
+  const getModel = (entry) => {
+    const model = entry?.resource?.labels?.model_user_id ?? "unknown_model";
+    models[model] ??= {
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      inputCost: 0,
+      outputCost: 0,
+    };
+    return [model, models[model]];
+  };
+
+  const parseCount = (point, name) => {
+    const count = parseInt(point.value.int64Value, 10);
+    if (!isFinite(count) || count < 0) {
+      throw new Error(`Invalid ${name} - must be a positive number`);
+    }
+    return count;
+  };
+
+  invocationResponse.forEach((entry) => {
+    const [, usage] = getModel(entry);
+    entry.points.forEach((point) => {
+      usage.requests += parseCount(point, "request count");
+    });
+  });
+
+  const hourlyCost = {};
+  tokenResponse.forEach((entry) => {
+    const [model, usage] = getModel(entry);
+    const price = getModelPrice(model, customPrices, currency);
+    const type = entry?.metric?.labels?.type;
+    // Tokens of an unknown type are priced as output, the higher price
+    const isInput = type === TOKEN_TYPE_INPUT;
+
+    entry.points.forEach((point) => {
+      const tokens = parseCount(point, "token count");
+      if (tokens === 0) return;
+
+      const cost =
+        (tokens / 1_000_000) * (isInput ? price.input : price.output);
+      if (isInput) {
+        usage.inputTokens += tokens;
+        usage.inputCost += cost;
+      } else {
+        if (type !== TOKEN_TYPE_OUTPUT) {
+          log(`  Unknown token type "${type}" for ${model}, priced as output`);
+        }
+        usage.outputTokens += tokens;
+        usage.outputCost += cost;
+      }
+      addToHourly(hourlyCost, point, cost);
+    });
+  });
+
+  log(`Vertex AI usage:`);
+  let inputCost = 0;
+  let outputCost = 0;
+  Object.entries(models).forEach(([model, usage]) => {
+    log(
+      `  ${model}: ${usage.requests} requests, ${usage.inputTokens} input tokens = ${formatAmount(usage.inputCost, currency.code)}, ${usage.outputTokens} output tokens = ${formatAmount(usage.outputCost, currency.code)}`,
+    );
+    inputCost += usage.inputCost;
+    outputCost += usage.outputCost;
+  });
+
+  const totalCost = inputCost + outputCost;
+  log(`  Total Vertex AI Cost: ${formatAmount(totalCost, currency.code)}`);
+
+  return {
+    totalCost,
+    breakdown: {
+      inputTokens: inputCost,
+      outputTokens: outputCost,
+    },
+    models,
+    hourlyCost,
+  };
+};
@@ -0,0 +1,169 @@
+import nodemailer from "nodemailer";
+
+export const EVENT_WARNING = "warning";
+export const EVENT_SHUTDOWN = "shutdown";
+export const EVENT_RESTORE = "restore";
+export const EVENT_FAILURE = "failure";
+export const EVENT_HEALTH_CHECK = "health_check";
+
+const EVENT_EMOJI = {
+  [EVENT_WARNING]: "⚠️",
+  [EVENT_SHUTDOWN]: "⛔",
+  [EVENT_RESTORE]: "✅",
+  [EVENT_FAILURE]: "❌",
+  [EVENT_HEALTH_CHECK]: "🩺",
+};
+
+// Notifications are sent while services are being stopped, so a channel
+// which hangs must give up instead of holding up the function
+const NOTIFY_TIMEOUT_MS = 10000;
+
+const DEFAULT_EVENTS = [
+  EVENT_WARNING,
+  EVENT_SHUTDOWN,
+  EVENT_RESTORE,
+  EVENT_FAILURE,
+];
+
+/**
+ * Posts a JSON payload, failing on non-2xx responses
+ * @param {String} url to post to
+ * @param {object} payload to send as the JSON body
+ */
+const postJson = async (url, payload) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with HTTP ${response.status}`);
+  }
+};
+
+/**
+ * Generic webhook - receives the notification as JSON
+ */
+const webhookNotifier = {
+  name: "webhook",
+  isConfigured: () => !!process.env.NOTIFY_WEBHOOK_URL,
+  send: (notification) =>
+    postJson(process.env.NOTIFY_WEBHOOK_URL, notification),
+};
+
+/**
+ * Slack-compatible incoming webhook
+ */
+const slackNotifier = {
+  name: "slack",
+  isConfigured: () => !!process.env.NOTIFY_SLACK_WEBHOOK_URL,
+  send: ({ event, title, message, projectId }) =>
+    postJson(process.env.NOTIFY_SLACK_WEBHOOK_URL, {
+      text: `${EVENT_EMOJI[event] ?? ""} *${title}* (${projectId})\n${message}`,
+    }),
+};
+
+/**
+ * Email via SMTP
+ */
+const emailNotifier = {
+  name: "email",
+  isConfigured: () =>
+    !!process.env.NOTIFY_SMTP_HOST && !!process.env.NOTIFY_EMAIL_TO,
+  send: async ({ event, title, message, projectId, details }) => {
+    const {
+      NOTIFY_SMTP_HOST,
+      NOTIFY_SMTP_PORT,
+      NOTIFY_SMTP_SECURE,
+      NOTIFY_SMTP_USER,
+      NOTIFY_SMTP_PASSWORD,
+      NOTIFY_EMAIL_FROM,
+      NOTIFY_EMAIL_TO,
+    } = process.env;
+
+    const transport = nodemailer.createTransport({
+      host: NOTIFY_SMTP_HOST,
+      port: parseInt(NOTIFY_SMTP_PORT, 10) || 587,
+      secure: NOTIFY_SMTP_SECURE === "true",
+      auth: NOTIFY_SMTP_USER
+        ? { user: NOTIFY_SMTP_USER, pass: NOTIFY_SMTP_PASSWORD }
+        : undefined,
+      connectionTimeout: NOTIFY_TIMEOUT_MS,
+      greetingTimeout: NOTIFY_TIMEOUT_MS,
+      socketTimeout: NOTIFY_TIMEOUT_MS,
+    });
+
+    await transport.sendMail({
+      from: NOTIFY_EMAIL_FROM || NOTIFY_SMTP_USER,
+      to: NOTIFY_EMAIL_TO,
+      subject: `[${projectId}] ${EVENT_EMOJI[event] ?? ""} ${title}`,
+      text: `${message}\n\n${JSON.stringify(details, null, 2)}`,
+    });
+  },
+};
+
+// Notifiers are tried in order; add new channels here
+const NOTIFIERS = [webhookNotifier, slackNotifier, emailNotifier];
+
+/**
+ * @returns {String[]} the events to send notifications for
+ */
+const getEnabledEvents = () => {
+  const events = process.env.NOTIFY_EVENTS;
+  if (!events) return DEFAULT_EVENTS;
+  return events.split(",").map((event) => event.trim());
+};
+
+/**
+ * Sends a notification to every configured channel. Delivery failures
+ *  are logged, but never thrown, so notifications can not get in the
+ *  way of the stop strategies
+ * @param {object} notification
+ * @param {String} notification.event one of warning, shutdown, restore,
+ *  failure or health_check
+ * @param {String} notification.title short summary
+ * @param {String} notification.message details for humans
+ * @param {object} [notification.details] structured details
+ * @param {String} [notification.projectId] the project concerned,
+ *  defaults to the project the extension is installed in
+ * @returns {Promise<String[]>} names of the channels which were notified
+ */
+export const sendNotification = async ({
+  event,
+  title,
+  message,
+  details = {},
+  projectId = process.env.GCLOUD_PROJECT,
+}) => {
+  if (!getEnabledEvents().includes(event)) return [];
+
+  const notifiers = NOTIFIERS.filter((notifier) => notifier.isConfigured());
+  if (notifiers.length === 0) return [];
+
+  const notification = {
+    event,
+    title,
+    message,
+    details,
+    projectId,
+    timestamp: new Date().toISOString(),
+  };
+
+  const results = await Promise.allSettled(
+    notifiers.map((notifier) => notifier.send(notification))
+  );
+
+  const delivered = [];
+  results.forEach((result, i) => {
+    if (result.status === "fulfilled") {
+      delivered.push(notifiers[i].name);
+    } else {
+      console.error(
+        `❌ Failed to send ${event} notification via ${notifiers[i].name}:`,
+        result.reason
+      );
+    }
+  });
+  return delivered;
+};
@@ -0,0 +1,122 @@
+// Parses and validates Cloud Billing budget notifications. See:
+// https://cloud.google.com/billing/docs/how-to/budgets-programmatic-notifications#notification_format
+
+export const BASIS_THRESHOLD = "threshold";
+export const BASIS_COST = "cost";
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Decodes and validates a budget notification Pub/Sub message
+ * @param {object} message the Pub/Sub message
+ * @returns {{notification: object|null, isTest: boolean, errors: String[]}}
+ *  the notification, or the reasons it was rejected
+ */
+export const parseBudgetNotification = (message) => {
+  const reject = (...errors) => ({ notification: null, isTest: false, errors });
+
+  if (!message?.data) {
+    return reject("Message has no data");
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(message.data, "base64").toString());
+  } catch (error) {
+    return reject(`Message data is not valid JSON: ${error.message}`);
+  }
+
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    return reject("Message data is not a JSON object");
+  }
+
+  // Test messages are published manually, and carry no budget data
+  if (data.extensionTest === true) {
+    return { notification: null, isTest: true, errors: [] };
+  }
+
+  const attributes = message.attributes ?? {};
+  const errors = [];
+
+  if (!isFiniteNumber(data.costAmount) || data.costAmount < 0) {
+    errors.push("costAmount must be a non-negative number");
+  }
+  if (!isFiniteNumber(data.budgetAmount) || data.budgetAmount <= 0) {
+    errors.push("budgetAmount must be a positive number");
+  }
+  if (!isNonEmptyString(data.currencyCode)) {
+    errors.push("currencyCode must be a currency code, e.g. USD");
+  }
+  if (
+    !isNonEmptyString(data.costIntervalStart) ||
+    isNaN(Date.parse(data.costIntervalStart))
+  ) {
+    errors.push("costIntervalStart must be an ISO 8601 timestamp");
+  }
+
+  // Only present once a threshold has been exceeded
+  ["alertThresholdExceeded", "forecastThresholdExceeded"].forEach((field) => {
+    if (
+      data[field] !== undefined &&
+      (!isFiniteNumber(data[field]) || data[field] < 0)
+    ) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+
+  if (!isNonEmptyString(attributes.billingAccountId)) {
+    errors.push("attribute billingAccountId is missing");
+  }
+  if (!isNonEmptyString(attributes.budgetId)) {
+    errors.push("attribute budgetId is missing");
+  }
+
+  if (errors.length > 0) return reject(...errors);
+
+  return {
+    notification: {
+      budgetDisplayName: data.budgetDisplayName ?? null,
+      costAmount: data.costAmount,
+      budgetAmount: data.budgetAmount,
+      currencyCode: data.currencyCode,
+      costIntervalStart: data.costIntervalStart,
+      alertThresholdExceeded: data.alertThresholdExceeded ?? null,
+      forecastThresholdExceeded: data.forecastThresholdExceeded ?? null,
+      billingAccountId: attributes.billingAccountId,
+      budgetId: attributes.budgetId,
+    },
+    isTest: false,
+    errors: [],
+  };
+};
+
+/**
+ * Calculates the fraction of the budget to act on
+ * @param {object} notification returned by parseBudgetNotification
+ * @param {String} basis either the exceeded alert threshold, or the
+ *  actual cost divided by the budget amount
+ * @returns {number|null} the fraction, or null if no threshold was exceeded
+ */
+export const getBudgetFraction = (notification, basis = BASIS_THRESHOLD) => {
+  if (basis === BASIS_COST) {
+    return notification.costAmount / notification.budgetAmount;
+  }
+  return notification.alertThresholdExceeded;
+};
+
+/**
+ * Checks whether an alert belongs to an earlier period of its budget.
+ *  Budgets with quarterly, yearly or custom periods keep the start of
+ *  their period, so only the budget itself tells which period is current
+ * @param {String} costIntervalStart of the alert
+ * @param {String|undefined} latestIntervalStart the latest one seen for
+ *  the same budget
+ * @returns {boolean} true if the alert is older than the latest one seen
+ */
+export const isStaleInterval = (costIntervalStart, latestIntervalStart) =>
+  typeof latestIntervalStart === "string" &&
+  Date.parse(costIntervalStart) < Date.parse(latestIntervalStart);
@@ -0,0 +1,102 @@
+import { listEnabledServices, serviceExists } from "./service-usage.js";
+
+// What the pre-flight check decided for a configured service
+export const PREFLIGHT_DISABLE = "disable";
+export const PREFLIGHT_NOT_ENABLED = "not_enabled";
+export const PREFLIGHT_UNKNOWN = "unknown";
+
+// e.g. firestore.googleapis.com, at least one dot and no uppercase
+const SERVICE_NAME_PATTERN =
+  /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+/**
+ * @param {String} serviceName e.g. firestore.googleapis.com
+ * @returns {boolean} true if the name is shaped like a service name
+ */
+export const isValidServiceName = (serviceName) =>
+  typeof serviceName === "string" && SERVICE_NAME_PATTERN.test(serviceName);
+
+/**
+ * Decides for every configured service whether it should be disabled.
+ *  When the enabled services could not be listed, every valid service
+ *  is disabled, as stopping the spend comes first
+ * @param {String[]} apiList services to disable, in order
+ * @param {String[]|null} enabled services enabled for the project
+ * @param {String[]} unknown services Service Usage does not know
+ * @returns {{api: String, status: String}[]} the plan, in order
+ */
+export const planPreflight = (apiList, enabled, unknown = []) =>
+  apiList.map((api) => {
+    if (!isValidServiceName(api) || unknown.includes(api)) {
+      return { api, status: PREFLIGHT_UNKNOWN };
+    }
+    if (enabled && !enabled.includes(api)) {
+      return { api, status: PREFLIGHT_NOT_ENABLED };
+    }
+    return { api, status: PREFLIGHT_DISABLE };
+  });
+
+/**
+ * Logs the services which will be disabled, and the ones skipped
+ * @param {{api: String, status: String}[]} plan returned by planPreflight
+ */
+const logPreflightPlan = (plan) => {
+  const withStatus = (status) =>
+    plan.filter((entry) => entry.status === status).map(({ api }) => api);
+
+  const apis = withStatus(PREFLIGHT_DISABLE);
+  console.log(
+    `ℹ️ Pre-flight: ${apis.length} service(s) to disable${apis.length > 0 ? `: ${apis.join(", ")}` : ""}`
+  );
+  const notEnabled = withStatus(PREFLIGHT_NOT_ENABLED);
+  if (notEnabled.length > 0) {
+    console.log(
+      `ℹ️ Pre-flight: skipping services which are not enabled: ${notEnabled.join(", ")}`
+    );
+  }
+  const unknown = withStatus(PREFLIGHT_UNKNOWN);
+  if (unknown.length > 0) {
+    console.warn(
+      `⚠️ Pre-flight: skipping unknown services, check the configured names: ${unknown.join(", ")}`
+    );
+  }
+};
+
+/**
+ * Lists the enabled services before anything is disabled, validates
+ *  the configured names, and logs the resulting plan
+ * @param {String} projectId for the Firebase project
+ * @param {String[]} apiList services to disable, in order
+ * @returns {Promise<{plan: object[], enabled: String[]|null}>} the plan,
+ *  and the enabled services, or null if they could not be listed
+ */
+export const runPreflight = async (projectId, apiList) => {
+  let enabled = null;
+  try {
+    enabled = await listEnabledServices(projectId);
+  } catch (error) {
+    console.error(
+      "❌ Failed to list the enabled services, disabling every configured service:",
+      error
+    );
+  }
+
+  // Services which are not enabled may be misspelled, so look them up
+  const unknown = [];
+  if (enabled) {
+    const notEnabled = apiList.filter(
+      (api) => isValidServiceName(api) && !enabled.includes(api)
+    );
+    for (const api of notEnabled) {
+      try {
+        if (!(await serviceExists(projectId, api))) unknown.push(api);
+      } catch (error) {
+        console.warn(`⚠️ Failed to verify service ${api}: ${error.message}`);
+      }
+    }
+  }
+
+  const plan = planPreflight(apiList, enabled, unknown);
+  logPreflightPlan(plan);
+  return { plan, enabled };
+};
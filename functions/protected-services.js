@@ -0,0 +1,184 @@
+import { listDependentServices, listEnabledServices } from "./service-usage.js";
+import { sendNotification, EVENT_WARNING } from "./notifications.js";
+
+// What to do when a disable would knock out a protected service
+export const PROTECTED_POLICY_REFUSE = "refuse";
+export const PROTECTED_POLICY_WARN = "warn";
+
+/**
+ * Parses the protected services
+ * @param {String} config e.g.
+ *  `identitytoolkit.googleapis.com,pubsub.googleapis.com`
+ * @returns {String[]} the protected service names
+ */
+export const parseProtectedServices = (config) => {
+  if (typeof config !== "string") return [];
+  return config
+    .split(",")
+    .map((service) => service.trim())
+    .filter((service) => service.length > 0);
+};
+
+/**
+ * Collects every service a disable cascades to, following the
+ *  dependents of the dependents
+ * @param {String} serviceName the service to disable
+ * @param {object} graph direct dependents, keyed by service name
+ * @returns {String[]} the dependents, in the order they were found
+ */
+export const getCascade = (serviceName, graph) => {
+  const cascade = [];
+  const queue = [serviceName];
+  while (queue.length > 0) {
+    for (const dependent of graph[queue.shift()] ?? []) {
+      if (dependent === serviceName || cascade.includes(dependent)) continue;
+      cascade.push(dependent);
+      queue.push(dependent);
+    }
+  }
+  return cascade;
+};
+
+/**
+ * Checks every disable against the protected services. Services which
+ *  are protected themselves, or whose disable cascades to a protected
+ *  service, are removed from the list with the refuse policy. When the
+ *  dependents are unknown, any disable may cascade to a protected
+ *  service, so every disable is a conflict
+ * @param {String[]} apiList services to disable, in order
+ * @param {object|null} graph direct dependents, keyed by service name,
+ *  or null if they could not be looked up
+ * @param {String[]} protectedServices services which must stay enabled
+ * @param {String} policy refuse or warn
+ * @returns {{apis: String[], report: object[]}} the services to disable,
+ *  and for every requested service its dependents and protected hits
+ */
+export const planProtectedDisable = (
+  apiList,
+  graph,
+  protectedServices,
+  policy
+) => {
+  const report = apiList.map((api) => {
+    const dependents = graph ? getCascade(api, graph) : null;
+    const protectedHits = [api, ...(dependents ?? [])].filter((service) =>
+      protectedServices.includes(service)
+    );
+    const conflict =
+      protectedHits.length > 0 ||
+      (dependents === null && protectedServices.length > 0);
+    return {
+      api,
+      dependents,
+      protectedHits,
+      conflict,
+      refused: conflict && policy !== PROTECTED_POLICY_WARN,
+    };
+  });
+
+  return {
+    apis: report.filter(({ refused }) => !refused).map(({ api }) => api),
+    report,
+  };
+};
+
+/**
+ * Looks up the enabled dependents of the services, and of their
+ *  dependents, in Service Usage
+ * @param {String} projectId for the Firebase project
+ * @param {String[]} apiList services to disable
+ * @param {String[]|null} enabled services enabled for the project, listed
+ *  when null
+ * @returns {Promise<object>} direct dependents, keyed by service name
+ */
+const getDependencyGraph = async (projectId, apiList, enabled) => {
+  enabled ??= await listEnabledServices(projectId);
+  const graph = {};
+  const queue = [...apiList];
+  while (queue.length > 0) {
+    const service = queue.shift();
+    if (graph[service]) continue;
+
+    graph[service] = (await listDependentServices(projectId, service)).filter(
+      (dependent) => enabled.includes(dependent)
+    );
+    queue.push(...graph[service]);
+  }
+  return graph;
+};
+
+/**
+ * Checks the services about to be disabled against PROTECTED_SERVICES,
+ *  and reports which dependents each disable would hit
+ * @param {String} projectId for the Firebase project
+ * @param {String[]} apiList services to disable, in order
+ * @param {object} options
+ * @param {boolean} options.dryRun report without notifying
+ * @param {String[]|null} options.enabled services enabled for the
+ *  project, as listed by the pre-flight check
+ * @returns {Promise<{apis: String[], report: object[]}>} the services
+ *  which may be disabled, and the dependents of every service
+ */
+export const checkProtectedServices = async (
+  projectId,
+  apiList,
+  { dryRun = false, enabled = null } = {}
+) => {
+  const protectedServices = parseProtectedServices(
+    process.env.PROTECTED_SERVICES
+  );
+  const policy =
+    process.env.PROTECTED_SERVICES_POLICY || PROTECTED_POLICY_REFUSE;
+
+  // The dependents are only looked up when they matter, or to report them
+  if (protectedServices.length === 0 && !dryRun) {
+    return { apis: apiList, report: [] };
+  }
+
+  // Without the dependents, the policy decides whether disables which
+  // may cascade to a protected service are refused
+  let graph = null;
+  try {
+    graph = await getDependencyGraph(projectId, apiList, enabled);
+  } catch (error) {
+    console.error(
+      "❌ Failed to look up the service dependencies, cascades can not be checked:",
+      error
+    );
+  }
+
+  const plan = planProtectedDisable(apiList, graph, protectedServices, policy);
+  plan.report.forEach(
+    ({ api, dependents, protectedHits, conflict, refused }) => {
+      console.log(
+        `ℹ️ Disabling ${api} also disables: ${dependents === null ? "unknown services" : dependents.length > 0 ? dependents.join(", ") : "no other services"}`
+      );
+      if (!conflict) return;
+      console.warn(
+        `${refused ? "⛔ Refusing to disable" : "⚠️ Disabling"} ${api}, it ${protectedHits.length > 0 ? `would disable protected services: ${protectedHits.join(", ")}` : "may disable protected services"}`
+      );
+    }
+  );
+
+  const conflicts = plan.report.filter(({ conflict }) => conflict);
+  if (conflicts.length > 0 && !dryRun) {
+    await sendNotification({
+      event: EVENT_WARNING,
+      title:
+        policy === PROTECTED_POLICY_WARN
+          ? "Disabling protected services"
+          : "Refused to disable protected services",
+      message: conflicts
+        .map(({ api, protectedHits }) =>
+          protectedHits.length > 0
+            ? `${api} would disable ${protectedHits.join(", ")}`
+            : `${api} may disable protected services, its dependents could not be looked up`
+        )
+        .join("\n"),
+      details: { policy, conflicts },
+      projectId,
+    });
+  }
+
+  return plan;
+};
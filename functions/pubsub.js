@@ -16,3 +16,12 @@ export const createTopic = async (topicName) => {
     }
   }
 };
+
+/**
+ * @param {String} topicName the topic ID, e.g. ext-firebase-trigger-auto-stop
+ * @returns {Promise<boolean>} true if the topic exists
+ */
+export const topicExists = async (topicName) => {
+  const [exists] = await pubsub.topic(topicName).exists();
+  return exists;
+};
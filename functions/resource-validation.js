@@ -3,29 +3,35 @@ import { ProjectsClient } from "@google-cloud/resource-manager";
 // Initialize the client
 const projectsClient = new ProjectsClient();
 
-export const testIamPermissions = async (projectId) => {
-  const resource = `projects/${projectId}`;
-  const permissions = [
-    "serviceusage.services.disable",
-    "resourcemanager.projects.deleteBillingAssignment",
-  ];
+/**
+ * Lists which of the permissions the extension has on the project
+ * @param {String} projectId for the Firebase project
+ * @param {String[]} permissions e.g. serviceusage.services.disable
+ * @returns {Promise<String[]>} the granted permissions
+ */
+export const getGrantedPermissions = async (projectId, permissions) => {
+  const [response] = await projectsClient.testIamPermissions({
+    resource: `projects/${projectId}`,
+    permissions,
+  });
+  return response.permissions ?? [];
+};
 
+/**
+ * Checks whether the extension has a permission on the project
+ * @param {String} projectId for the Firebase project
+ * @param {String} permission e.g. serviceusage.services.disable
+ * @returns {Promise<Boolean>} true if the permission is granted
+ */
+export const hasPermission = async (projectId, permission) => {
   try {
     const [response] = await projectsClient.testIamPermissions({
-      resource,
-      permissions,
-    });
-
-    console.log("Permissions allowed:", response.permissions);
-    // Check if the response.permissions array includes the permissions:
-    permissions.forEach((perm) => {
-      if (response.permissions && response.permissions.includes(perm)) {
-        console.log(`✅ Permission granted: ${perm}`);
-      } else {
-        console.error(`⛔ Permission not granted: ${perm}`);
-      }
+      resource: `projects/${projectId}`,
+      permissions: [permission],
     });
+    return (response.permissions ?? []).includes(permission);
   } catch (error) {
-    console.error("⛔ Error testing IAM permissions:", error);
+    console.error(`⛔ Error testing IAM permission ${permission}:`, error);
+    return false;
   }
 };
@@ -0,0 +1,157 @@
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import {
+  getStateDoc,
+  getStateCollection,
+  getProjectStateDocId,
+  releaseClaims,
+  ACTION_TIERS_STATE_DOC,
+  BUDGET_ALERTS_STATE_DOC,
+  STOP_CLAIM_KEY,
+  FORECAST_STATE_DOC,
+  BURN_RATE_STATE_DOC,
+  BURN_RATE_LIMIT_CLAIM_KEY,
+  SERVICE_BUDGET_STATE_DOC,
+} from "./state.js";
+import { enableBillingForProject } from "./budget.js";
+import { enableService } from "./service-usage.js";
+import { getBillingPeriodStart } from "./billing-period.js";
+import { sendNotification, EVENT_RESTORE } from "./notifications.js";
+
+// State document recording what the disable strategies turned off
+const SHUTDOWN_STATE_DOC = "shutdown";
+
+// Claims of the actions which stopped the project. They are released on
+// restore, so a project which is still over budget is stopped again.
+// Threshold and burn rate spike warnings are kept, they only notify
+export const RESTORE_RELEASED_CLAIMS = [
+  {
+    docId: BUDGET_ALERTS_STATE_DOC,
+    matches: (key) => key === STOP_CLAIM_KEY || key.startsWith("forecast:"),
+  },
+  { docId: ACTION_TIERS_STATE_DOC, matches: () => true },
+  { docId: FORECAST_STATE_DOC, matches: () => true },
+  {
+    docId: BURN_RATE_STATE_DOC,
+    matches: (key) => key === BURN_RATE_LIMIT_CLAIM_KEY,
+  },
+  { docId: SERVICE_BUDGET_STATE_DOC, matches: () => true },
+];
+
+/**
+ * Records the billing account before it is removed from the project
+ * @param {String} projectId for the Firebase project
+ * @param {String} billingAccountName e.g. billingAccounts/000000-000000-000000
+ */
+export const recordBillingShutdown = async (projectId, billingAccountName) => {
+  await getStateDoc(getProjectStateDocId(SHUTDOWN_STATE_DOC, projectId)).set(
+    {
+      projectId,
+      billingAccountName,
+      disabledAt: Timestamp.now(),
+    },
+    { merge: true }
+  );
+};
+
+/**
+ * Records the APIs about to be disabled, in the order they are disabled
+ * @param {String} projectId for the Firebase project
+ * @param {String[]} apis which are enabled and about to be disabled
+ */
+export const recordApiShutdown = async (projectId, apis) => {
+  if (apis.length === 0) return;
+
+  await getStateDoc(getProjectStateDocId(SHUTDOWN_STATE_DOC, projectId)).set(
+    {
+      projectId,
+      disabledApis: FieldValue.arrayUnion(...apis),
+      disabledAt: Timestamp.now(),
+    },
+    { merge: true }
+  );
+};
+
+/**
+ * Restores the state recorded before the disable strategies ran:
+ *  re-links the billing account, then re-enables the disabled APIs in
+ *  the reverse order they were disabled (Cloud Functions first). The
+ *  stop claims are released, so the next alert can stop the project again
+ * @param {object} options
+ * @param {String} options.projectId the project to restore, defaults to
+ *  the project the extension is installed in
+ * @returns None
+ */
+export const executeRestore = async ({
+  projectId = process.env.GCLOUD_PROJECT,
+} = {}) => {
+  const ref = getStateDoc(getProjectStateDocId(SHUTDOWN_STATE_DOC, projectId));
+  const doc = await ref.get();
+  if (!doc.exists) {
+    console.log("ℹ️ No shutdown recorded, nothing to restore");
+    return;
+  }
+
+  const { billingAccountName, disabledApis = [] } = doc.data();
+  console.log(`⚙️ Restoring services for ${projectId}...`);
+
+  // Billing must be in place before paid APIs can be enabled
+  if (billingAccountName) {
+    await enableBillingForProject(projectId, billingAccountName);
+  }
+
+  for (const api of [...disabledApis].reverse()) {
+    await enableService(projectId, api);
+  }
+
+  await ref.delete();
+  for (const { docId, matches } of RESTORE_RELEASED_CLAIMS) {
+    await releaseClaims(getProjectStateDocId(docId, projectId), matches);
+  }
+  console.log(`✅ Services restored for ${projectId}`);
+
+  await sendNotification({
+    event: EVENT_RESTORE,
+    title: "Services restored",
+    message: `The services disabled by the extension were restored${disabledApis.length > 0 ? `: ${disabledApis.join(", ")}` : ""}.`,
+    details: { billingAccountName, disabledApis },
+    projectId,
+  });
+};
+
+/**
+ * Restores every project whose shutdown was recorded in an earlier
+ *  billing period, so projects stay paused until the next Pacific-time
+ *  month begins. Only runs when AUTO_RESTORE is enabled
+ * @returns None
+ */
+export const executeAutoRestore = async () => {
+  if (process.env.AUTO_RESTORE !== "true") {
+    console.log("ℹ️ Auto-restore is disabled, skipping");
+    return;
+  }
+
+  // Only the shutdown records have a disabledAt field
+  const periodStart = Timestamp.fromDate(getBillingPeriodStart().toDate());
+  const records = await getStateCollection()
+    .where("disabledAt", "<", periodStart)
+    .get();
+  if (records.empty) {
+    console.log("ℹ️ No shutdowns from earlier billing periods to restore");
+    return;
+  }
+
+  const failed = [];
+  for (const record of records.docs) {
+    const { projectId } = record.data();
+    try {
+      await executeRestore({ projectId });
+    } catch (error) {
+      console.error(`❌ Failed to restore services for ${projectId}:`, error);
+      failed.push(projectId);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Failed to restore services for ${failed.join(", ")}`);
+  }
+};
@@ -0,0 +1,81 @@
+// gRPC status codes which are worth retrying
+const RETRYABLE_GRPC_CODES = [
+  4, // DEADLINE_EXCEEDED
+  8, // RESOURCE_EXHAUSTED
+  10, // ABORTED
+  13, // INTERNAL
+  14, // UNAVAILABLE
+];
+
+const DEFAULT_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+/**
+ * @param {Error} error thrown by a Google Cloud client or a REST call
+ * @returns {boolean} true if the error is transient, e.g. a timeout,
+ *  rate limit or server error
+ */
+export const isTransientError = (error) => {
+  if (RETRYABLE_GRPC_CODES.includes(error?.code)) return true;
+  const status = error?.response?.status ?? error?.status;
+  return status === 429 || (status >= 500 && status < 600);
+};
+
+/**
+ * @param {number} attempt the failed attempt, starting at 1
+ * @param {number} baseDelayMs delay after the first attempt
+ * @returns {number} the delay before the next attempt, doubling with
+ *  every attempt, with jitter so retries do not arrive in bursts
+ */
+export const getBackoffDelay = (attempt, baseDelayMs) =>
+  Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** (attempt - 1)) *
+  (0.5 + Math.random() / 2);
+
+/**
+ * @param {Error} error thrown while handling an event
+ * @returns {boolean} true if retrying the event may succeed, e.g. a
+ *  transient error, or a critical disable step which failed transiently
+ */
+export const isRetryableError = (error) =>
+  error?.retryable === true || isTransientError(error);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Calls `fn` until it succeeds, retrying transient errors with
+ *  exponential backoff. Other errors are thrown immediately
+ * @param {function(): Promise} fn the call to make
+ * @param {object} options
+ * @param {String} options.name of the call, for logging
+ * @param {number} options.retries retries after the first attempt
+ * @param {number} options.baseDelayMs delay after the first attempt
+ * @param {function(number): Promise} options.wait waits for the delay
+ * @returns {Promise<{result: *, attempts: number}>} the result of `fn`
+ *  and the number of attempts it took
+ */
+export const withRetry = async (
+  fn,
+  {
+    name = "call",
+    retries = DEFAULT_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    wait = sleep,
+  } = {}
+) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { result: await fn(), attempts: attempt };
+    } catch (error) {
+      if (attempt > retries || !isTransientError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = getBackoffDelay(attempt, baseDelayMs);
+      console.warn(
+        `⚠️ ${name} failed (attempt ${attempt}), retrying in ${Math.round(delay)}ms: ${error.message}`
+      );
+      await wait(delay);
+    }
+  }
+};
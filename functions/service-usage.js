@@ -1,23 +1,173 @@
 import { ServiceUsageClient } from "@google-cloud/service-usage";
+import { GoogleAuth } from "google-auth-library";
+import { sendNotification, EVENT_FAILURE } from "./notifications.js";
+import { hasPermission } from "./resource-validation.js";
+import { withRetry, isTransientError } from "./retry.js";
+import { STEP_SUCCEEDED, STEP_FAILED } from "./disable-results.js";
 const client = new ServiceUsageClient();
 
-export const disableService = async (projectId, serviceName) => {
+// The dependency groups are only exposed by the v2alpha API, which has
+// no client library yet
+const SERVICE_USAGE_V2_URL = "https://serviceusage.googleapis.com/v2alpha";
+const auth = new GoogleAuth({
+  scopes: ["https://www.googleapis.com/auth/cloud-platform"],
+});
+
+/**
+ * Disables a service, including the services which depend on it, and
+ *  waits for the operation to complete. Transient errors are retried
+ * @param {String} projectId for the Firebase project
+ * @param {String} serviceName e.g. firestore.googleapis.com
+ * @param {object} options
+ * @param {boolean} options.dryRun report the call instead of making it
+ * @returns {Promise<object>} the planned call in a dry run, otherwise
+ *  the result of the step
+ */
+export const disableService = async (
+  projectId,
+  serviceName,
+  { dryRun = false } = {}
+) => {
   const service = `projects/${projectId}/services/${serviceName}`;
+  if (dryRun) {
+    const permission = "serviceusage.services.disable";
+    const allowed = await hasPermission(projectId, permission);
+    console.log(
+      `🧪 DRY RUN: would disable service ${serviceName} for project ${projectId} (IAM ${permission}: ${allowed ? "allowed" : "DENIED"})`
+    );
+    return {
+      call: "serviceusage.services.disable",
+      target: service,
+      options: { disableDependentServices: true },
+      permission,
+      allowed,
+    };
+  }
+
+  const result = { action: "disable_service", target: serviceName };
   try {
     console.log(
       `🚨📢 Disabling service ${serviceName} for project ${projectId}`
     );
-    await client.disableService({
-      name: service,
-      disableDependentServices: true,
-    });
+    const { attempts } = await withRetry(
+      async () => {
+        const [operation] = await client.disableService({
+          name: service,
+          disableDependentServices: true,
+        });
+        await operation.promise();
+      },
+      { name: `Disabling ${serviceName}` }
+    );
     console.log(
       `🚨📢 Service ${serviceName} disabled for project ${projectId}`
     );
+    return { ...result, status: STEP_SUCCEEDED, attempts };
   } catch (err) {
     console.error(
       `🚨📢 ERROR!!! disabling service ${serviceName} for project ${projectId}`
     );
     console.error(err);
+    await sendNotification({
+      event: EVENT_FAILURE,
+      title: "Failed to disable service",
+      message: `Disabling ${serviceName} for project ${projectId} failed: ${err.message}`,
+      details: { projectId, serviceName },
+      projectId,
+    });
+    return {
+      ...result,
+      status: STEP_FAILED,
+      attempts: err.attempts,
+      error: err.message,
+      transient: isTransientError(err),
+    };
+  }
+};
+
+/**
+ * Enables a service and waits for the operation to complete, so
+ *  services can be enabled in a specific order
+ * @param {String} projectId for the Firebase project
+ * @param {String} serviceName e.g. firestore.googleapis.com
+ */
+export const enableService = async (projectId, serviceName) => {
+  const service = `projects/${projectId}/services/${serviceName}`;
+  console.log(`ℹ️ Enabling service ${serviceName} for project ${projectId}`);
+  const [operation] = await client.enableService({ name: service });
+  await operation.promise();
+  console.log(`✅ Service ${serviceName} enabled for project ${projectId}`);
+};
+
+/**
+ * Lists the services which are currently enabled for the project
+ * @param {String} projectId for the Firebase project
+ * @returns {Promise<String[]>} service names, e.g. firestore.googleapis.com
+ */
+export const listEnabledServices = async (projectId) => {
+  const services = [];
+  const iterable = client.listServicesAsync({
+    parent: `projects/${projectId}`,
+    filter: "state:ENABLED",
+    pageSize: 200,
+  });
+  for await (const service of iterable) {
+    services.push(service.config?.name ?? service.name.split("/").pop());
   }
+  return services;
+};
+
+/**
+ * Checks whether a service exists, whether or not it is enabled
+ * @param {String} projectId for the Firebase project
+ * @param {String} serviceName e.g. firestore.googleapis.com
+ * @returns {Promise<boolean>} false if Service Usage does not know it
+ */
+export const serviceExists = async (projectId, serviceName) => {
+  try {
+    await client.getService({
+      name: `projects/${projectId}/services/${serviceName}`,
+    });
+    return true;
+  } catch (error) {
+    // Unknown services are reported as not found, or as not found or
+    // permission denied, to avoid leaking private service names
+    if (
+      error.code === 3 ||
+      error.code === 5 ||
+      (error.code === 7 && /not found/i.test(error.message))
+    ) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lists the services which directly depend on a service. Every service
+ *  has a `dependencies` group, so the groups a service belongs to name
+ *  the services which depend on it
+ * @param {String} projectId for the Firebase project
+ * @param {String} serviceName e.g. firestore.googleapis.com
+ * @returns {Promise<String[]>} names of the dependent services
+ */
+export const listDependentServices = async (projectId, serviceName) => {
+  const authClient = await auth.getClient();
+  const dependents = [];
+  let pageToken;
+  do {
+    const { data } = await authClient.request({
+      url: `${SERVICE_USAGE_V2_URL}/projects/${projectId}/services/${serviceName}:listAncestorGroups`,
+      params: pageToken ? { pageToken } : {},
+    });
+    for (const group of data.groups ?? []) {
+      // projects/123/services/firebase.googleapis.com/groups/dependencies
+      const match = group.name?.match(/services\/([^/]+)\/groups\/([^/]+)$/);
+      if (match && match[2] === "dependencies" && match[1] !== serviceName) {
+        dependents.push(match[1]);
+      }
+    }
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return dependents;
 };
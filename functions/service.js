@@ -4,8 +4,78 @@ import { getExtensions } from "firebase-admin/extensions";
 import { createTopic } from "./pubsub.js";
 import { disableService } from "./service-usage.js";
 import * as Constants from "./constants.js";
-import { disableBillingForProject } from "./budget.js";
-import { testIamPermissions } from "./resource-validation.js";
+import {
+  disableBillingForProject,
+  getBillingAccountForProject,
+} from "./budget.js";
+import { recordBillingShutdown, recordApiShutdown } from "./restore.js";
+import {
+  sendNotification,
+  EVENT_WARNING,
+  EVENT_SHUTDOWN,
+  EVENT_FAILURE,
+} from "./notifications.js";
+import { runHealthCheck } from "./health-check.js";
+import { isTransientError, isRetryableError } from "./retry.js";
+import { getAlertProjects } from "./alert-scope.js";
+import { checkProtectedServices } from "./protected-services.js";
+import {
+  runPreflight,
+  PREFLIGHT_DISABLE,
+  PREFLIGHT_NOT_ENABLED,
+} from "./preflight.js";
+import {
+  STEP_SUCCEEDED,
+  STEP_FAILED,
+  STEP_ALREADY_DISABLED,
+  logDisableResults,
+  assertNoCriticalFailures,
+} from "./disable-results.js";
+import {
+  parseBudgetNotification,
+  getBudgetFraction,
+  isStaleInterval,
+  BASIS_THRESHOLD,
+} from "./payload.js";
+import { getBillingPeriodKey } from "./billing-period.js";
+import {
+  claimOrFailOpen,
+  runOncePerPeriod,
+  getProjectStateDocId,
+  advanceBudgetInterval,
+  ACTION_TIERS_STATE_DOC,
+  BUDGET_ALERTS_STATE_DOC,
+  STOP_CLAIM_KEY,
+} from "./state.js";
+import {
+  getActionTiers,
+  getReachedTiers,
+  getTierKey,
+  ACTION_WARN,
+  ACTION_NOTIFY,
+  ACTION_DISABLE_APIS,
+  ACTION_DISABLE_BILLING,
+  ACTION_DISABLE,
+} from "./tiers.js";
+
+// State document tracking the latest cost interval of every budget
+const BUDGET_INTERVALS_STATE_DOC = "budgetIntervals";
+
+// Policies for forecasted-threshold budget notifications
+const FORECAST_POLICY_IGNORE = "ignore";
+const FORECAST_POLICY_NOTIFY = "notify";
+const FORECAST_POLICY_PARTIAL = "partial";
+const FORECAST_POLICIES = [
+  FORECAST_POLICY_IGNORE,
+  FORECAST_POLICY_NOTIFY,
+  FORECAST_POLICY_PARTIAL,
+];
+
+/**
+ * @returns {boolean} true if the extension is configured to only
+ *  simulate the disable strategies
+ */
+export const isDryRun = () => process.env.DRY_RUN === "true";
 
 /**
  * Installs the extension by creating a Pub/Sub topic
@@ -36,110 +106,675 @@ export const installExtension = async () => {
  * @returns None
  */
 export const stopServices = async (message) => {
-  const messageData = message.data
-    ? Buffer.from(message.data, "base64").toString()
-    : null;
-
-  // Parse the message data as JSON
-  const data = messageData ? JSON.parse(messageData) : null;
+  const { notification, isTest, errors } = parseBudgetNotification(message);
 
   // Validate if the message is a test message
-  if (data.extensionTest) {
+  if (isTest) {
     console.log("ℹ️ Received budget alert message with test parameter");
-    await testIamPermissions(process.env.GCLOUD_PROJECT);
+    await runHealthCheck(process.env.GCLOUD_PROJECT);
+    return;
+  }
+
+  // Acknowledge malformed messages, redelivering them would not help
+  if (errors.length > 0) {
+    console.error(
+      `❌ Rejected malformed budget notification:\n - ${errors.join("\n - ")}`
+    );
+    return;
+  }
+
+  // Acknowledge alerts from earlier periods of the budget without acting
+  // on them. Budgets can have quarterly, yearly or custom periods, so the
+  // alert is compared with the latest one of the same budget
+  const periodKey = getBillingPeriodKey();
+  if (await isStaleAlert(notification)) {
+    console.log(
+      `ℹ️ Alert is for an earlier period of the budget (${notification.costIntervalStart}), ignoring`
+    );
+    return;
+  }
+
+  // Budgets can cover several projects, or the whole billing account
+  const projectIds = await getAlertProjects(notification);
+  if (projectIds.length === 0) {
+    console.log("ℹ️ No projects in scope of the budget alert, ignoring");
+    return;
+  }
+
+  // Forecast alerts arrive before the spend, and follow their own policy
+  if (notification.forecastThresholdExceeded !== null) {
+    await handleForecastAlert(notification, periodKey, projectIds);
+  }
+
+  const basis = process.env.BUDGET_TRIGGER_BASIS || BASIS_THRESHOLD;
+  const fraction = getBudgetFraction(notification, basis);
+
+  // Validate that a budget threshold was exceeded
+  if (fraction === null) {
+    console.log(
+      `ℹ️ Budget notification received, ${notification.costAmount} ${notification.currencyCode} of ${notification.budgetAmount} ${notification.currencyCode} spent, no threshold exceeded`
+    );
     return;
   }
 
-  // Validate that the payload included budget information
-  if (!data.alertThresholdExceeded) {
-    console.log("🚨 Alert raised, but there was no budget data in the payload");
+  // The escalation ladder replaces the single stop threshold when configured
+  if (getActionTiers(process.env.BUDGET_ACTION_TIERS).length > 0) {
+    console.log(`🚨 Alert: ${fraction} (${basis}) : Action tiers`);
+    await forEachProject(projectIds, (projectId) =>
+      executeActionTiers(fraction, { projectId })
+    );
     return;
   }
 
-   // Validate that there is a threshold identified
-  if (!process.env.BUDGET_STOP_THRESHOLD_PERCENT) {
+  // Validate that there is a threshold identified
+  const stopThreshold = parseFloat(process.env.BUDGET_STOP_THRESHOLD_PERCENT);
+  if (!isFinite(stopThreshold)) {
     console.log("🚨 Alert raised, but there was no budget threshold set");
     return;
   }
 
   console.log(
-    `🚨 Alert: ${data.alertThresholdExceeded} : Configuration: ${process.env.BUDGET_STOP_THRESHOLD_PERCENT}`
+    `🚨 Alert: ${fraction} (${basis}) : Configuration: ${stopThreshold}`
   );
 
   // Validate if the alert threshold has been exceeded
-  if (data.alertThresholdExceeded < process.env.BUDGET_STOP_THRESHOLD_PERCENT) {
+  if (fraction < stopThreshold) {
     console.log("✅ Budget below threshold, services are online");
+
+    // Warn once per project and crossed alert threshold, the cost ratio
+    // changes with every notification
+    const { alertThresholdExceeded } = notification;
+    if (alertThresholdExceeded === null) return;
+
+    for (const projectId of projectIds) {
+      const isNewWarning = await claimOrFailOpen(
+        getProjectStateDocId(BUDGET_ALERTS_STATE_DOC, projectId),
+        periodKey,
+        `warning:${alertThresholdExceeded}`
+      );
+      if (!isNewWarning) continue;
+
+      await sendNotification({
+        event: EVENT_WARNING,
+        title: "Budget alert threshold reached",
+        message: `${(fraction * 100).toFixed(0)}% of the budget has been reached. Services will be stopped at ${(stopThreshold * 100).toFixed(0)}%.`,
+        details: {
+          alertThresholdExceeded,
+          costAmount: notification.costAmount,
+          budgetAmount: notification.budgetAmount,
+          currencyCode: notification.currencyCode,
+        },
+        projectId,
+      });
+    }
+    return;
+  }
+
+  if (isDryRun()) {
+    console.log("⛔ Budget threshold has been reached, simulating shutdown");
+    await forEachProject(projectIds, (projectId) =>
+      executeDisable({ projectId })
+    );
+    return;
+  }
+
+  await forEachProject(projectIds, (projectId) =>
+    stopProject(projectId, periodKey, {
+      fraction,
+      basis,
+      costAmount: notification.costAmount,
+      budgetAmount: notification.budgetAmount,
+      budgetId: notification.budgetId,
+    })
+  );
+};
+
+/**
+ * Checks whether a newer period of the same budget already sent alerts.
+ *  When the state store fails the alert is treated as current
+ * @param {object} notification returned by parseBudgetNotification
+ * @returns {Promise<boolean>} true if the alert is from an earlier period
+ */
+const isStaleAlert = async (notification) => {
+  const { billingAccountId, budgetId, costIntervalStart } = notification;
+  try {
+    const latest = await advanceBudgetInterval(
+      BUDGET_INTERVALS_STATE_DOC,
+      `${billingAccountId}/${budgetId}`,
+      costIntervalStart
+    );
+    return isStaleInterval(costIntervalStart, latest);
+  } catch (error) {
+    console.error(
+      "❌ Failed to read the latest budget period, skipping the check:",
+      error
+    );
+    return false;
+  }
+};
+
+/**
+ * Runs the strategy for every project in scope. A failure in one project
+ *  does not stop the others, and is rethrown once all projects ran
+ * @param {String[]} projectIds in scope of the budget alert
+ * @param {function(String): Promise} strategy applied to each project
+ */
+const forEachProject = async (projectIds, strategy) => {
+  const failures = [];
+  for (const projectId of projectIds) {
+    try {
+      await strategy(projectId);
+    } catch (error) {
+      console.error(`❌ Failed to apply the strategy to ${projectId}:`, error);
+      failures.push({ projectId, error });
+    }
+  }
+
+  if (failures.length === 0) return;
+  if (projectIds.length === 1) throw failures[0].error;
+  const error = new Error(
+    `Failed to apply the strategy to ${failures.map(({ projectId }) => projectId).join(", ")}`
+  );
+  error.retryable = failures.some((failure) => isRetryableError(failure.error));
+  throw error;
+};
+
+/**
+ * Executes the disable strategy for a project, once per billing period
+ * @param {String} projectId the project to stop
+ * @param {String} periodKey of the current billing period
+ * @param {object} details of the alert, stored with the claim
+ */
+const stopProject = async (projectId, periodKey, details) => {
+  const isNewStop = await runOncePerPeriod(
+    {
+      docId: getProjectStateDocId(BUDGET_ALERTS_STATE_DOC, projectId),
+      periodKey,
+      key: STOP_CLAIM_KEY,
+      details,
+    },
+    async () => {
+      console.log(
+        `⛔ Budget threshold has been reached, shutting down services of ${projectId}`
+      );
+      await executeDisable({ projectId });
+    }
+  );
+  if (!isNewStop) {
+    console.log(
+      `ℹ️ Services of ${projectId} were already stopped this billing period, ignoring`
+    );
+  }
+};
+
+/**
+ * Applies the forecast alert policy to a forecasted-threshold notification,
+ *  once per project and billing period
+ * @param {object} notification returned by parseBudgetNotification
+ * @param {String} periodKey of the current billing period
+ * @param {String[]} projectIds in scope of the budget alert
+ */
+const handleForecastAlert = async (notification, periodKey, projectIds) => {
+  let policy = process.env.FORECAST_ALERT_POLICY || FORECAST_POLICY_IGNORE;
+  if (!FORECAST_POLICIES.includes(policy)) {
+    console.error(
+      `❌ Invalid forecast alert policy "${policy}", expected one of: ${FORECAST_POLICIES.join(", ")}. Only notifying`
+    );
+    policy = FORECAST_POLICY_NOTIFY;
+  }
+  const forecast = notification.forecastThresholdExceeded;
+  const threshold = parseFloat(process.env.FORECAST_ALERT_THRESHOLD_PERCENT);
+
+  if (policy === FORECAST_POLICY_IGNORE) {
+    console.log(`ℹ️ Forecast alert: ${forecast}, forecast policy is ignore`);
+    return;
+  }
+
+  if (!isFinite(threshold) || forecast < threshold) {
+    console.log(
+      `✅ Forecast alert: ${forecast} : Configuration: ${threshold}, below threshold`
+    );
+    return;
+  }
+
+  const apiList = process.env.FORECAST_DISABLE_API_LIST
+    ? process.env.FORECAST_DISABLE_API_LIST.split(",")
+    : [];
+
+  if (policy === FORECAST_POLICY_PARTIAL && isDryRun()) {
+    console.log(
+      "⛔ Forecast threshold has been reached, simulating partial shutdown"
+    );
+    for (const projectId of projectIds) {
+      logDryRunPlan(
+        await executeDisableAPI(apiList, { dryRun: true, projectId })
+      );
+    }
     return;
   }
 
-  console.log("⛔ Budget threshold has been reached, shutting down services");
-  await executeDisable();
+  await forEachProject(projectIds, async (projectId) => {
+    const isNew = await runOncePerPeriod(
+      {
+        docId: getProjectStateDocId(BUDGET_ALERTS_STATE_DOC, projectId),
+        periodKey,
+        key: `forecast:${policy}`,
+        details: {
+          forecastThresholdExceeded: forecast,
+          costAmount: notification.costAmount,
+          budgetAmount: notification.budgetAmount,
+        },
+      },
+      async () => {
+        await sendNotification({
+          event: EVENT_WARNING,
+          title: "Budget forecast threshold reached",
+          message: `Spend is forecast to reach ${(forecast * 100).toFixed(0)}% of the budget this billing period.${policy === FORECAST_POLICY_PARTIAL && apiList.length > 0 ? ` Disabling: ${apiList.join(", ")}` : ""}`,
+          details: {
+            forecastThresholdExceeded: forecast,
+            costAmount: notification.costAmount,
+            budgetAmount: notification.budgetAmount,
+            currencyCode: notification.currencyCode,
+          },
+          projectId,
+        });
+
+        if (policy === FORECAST_POLICY_PARTIAL) {
+          console.log(
+            `⛔ Forecast threshold has been reached, disabling services of ${projectId}`
+          );
+          await executeDisableAPI(apiList, { projectId });
+        }
+      }
+    );
+    if (!isNew) {
+      console.log(
+        `ℹ️ Forecast alert already handled for ${projectId} this billing period, ignoring`
+      );
+    }
+  });
+};
+
+/**
+ * Executes every action tier reached at the given fraction of the budget,
+ *  skipping tiers which already ran in the current billing period
+ * @param {number} fraction of the budget spent
+ * @param {object} options
+ * @param {boolean} options.dryRun simulate the reached tiers, without
+ *  claiming them for the billing period
+ * @param {String} options.projectId the project to act on
+ * @returns {Promise<string[]>} keys of the tiers executed by this call
+ */
+export const executeActionTiers = async (
+  fraction,
+  { dryRun = isDryRun(), projectId = process.env.GCLOUD_PROJECT } = {}
+) => {
+  const tiers = getReachedTiers(
+    getActionTiers(process.env.BUDGET_ACTION_TIERS),
+    fraction
+  );
+
+  if (tiers.length === 0) {
+    console.log("✅ No action tiers reached, services are online");
+    return [];
+  }
+
+  const periodKey = getBillingPeriodKey();
+  const stateDoc = getProjectStateDocId(ACTION_TIERS_STATE_DOC, projectId);
+  const executed = [];
+  for (const tier of tiers) {
+    const key = getTierKey(tier);
+    if (dryRun) {
+      console.log(`🧪 DRY RUN: action tier ${key} reached`);
+      await executeTierAction(tier, fraction, { dryRun, projectId });
+      continue;
+    }
+
+    const claimed = await runOncePerPeriod(
+      { docId: stateDoc, periodKey, key },
+      () => executeTierAction(tier, fraction, { projectId })
+    );
+    if (!claimed) {
+      console.log(
+        `ℹ️ Action tier ${key} already executed this billing period`
+      );
+      continue;
+    }
+    executed.push(key);
+  }
+
+  return executed;
 };
 
 /**
- * Executes the disable strategy
+ * Executes the action of a single tier
+ * @param {object} tier returned by getActionTiers
+ * @param {number} fraction of the budget spent
+ * @param {object} options
+ * @param {boolean} options.dryRun simulate the disable actions
+ * @param {String} options.projectId the project to act on
  */
-export const executeDisable = async () => {
-  await executeDisableBilling();
-  await executeDisableAPI();
+const executeTierAction = async (
+  tier,
+  fraction,
+  { dryRun = false, projectId = process.env.GCLOUD_PROJECT } = {}
+) => {
+  const percent = `${(fraction * 100).toFixed(1)}%`;
+  switch (tier.action) {
+    case ACTION_WARN:
+      console.warn(
+        `⚠️ Budget usage at ${percent}, warning tier ${tier.threshold} reached`
+      );
+      break;
+    case ACTION_NOTIFY:
+      console.warn(
+        `📢 Budget usage at ${percent}, notification tier ${tier.threshold} reached`
+      );
+      if (dryRun) break;
+      await sendNotification({
+        event: EVENT_WARNING,
+        title: "Budget notification tier reached",
+        message: `Budget usage is at ${percent}, the ${tier.threshold} notification tier has been reached.`,
+        details: { fraction, threshold: tier.threshold },
+        projectId,
+      });
+      break;
+    case ACTION_DISABLE_APIS: {
+      console.log(`⛔ Budget usage at ${percent}, disabling APIs`);
+      const steps = await executeDisableAPI(tier.apis ?? undefined, {
+        dryRun,
+        projectId,
+      });
+      if (dryRun) logDryRunPlan(steps);
+      break;
+    }
+    case ACTION_DISABLE_BILLING: {
+      console.log(`⛔ Budget usage at ${percent}, disabling billing`);
+      const steps = await disableBilling(projectId, { dryRun });
+      if (dryRun) {
+        logDryRunPlan(steps);
+      } else {
+        logDisableResults(steps);
+        assertNoCriticalFailures(steps);
+      }
+      break;
+    }
+    case ACTION_DISABLE:
+      console.log(`⛔ Budget usage at ${percent}, shutting down services`);
+      await executeDisable({ dryRun, projectId });
+      break;
+  }
 };
+
+/**
+ * Executes the disable strategy, and throws when a critical step failed
+ * @param {object} options
+ * @param {boolean} options.dryRun report the calls instead of making them
+ * @param {String} options.projectId the project to act on
+ * @returns {Promise<object[]>} the planned calls, in order, in a dry run,
+ *  otherwise the result of every step
+ */
+export const executeDisable = async ({
+  dryRun = isDryRun(),
+  projectId = process.env.GCLOUD_PROJECT,
+} = {}) => {
+  const billingSteps = await executeDisableBilling({ dryRun, projectId });
+  const apiSteps = await disableApis(undefined, { dryRun, projectId });
+  if (dryRun) {
+    const plan = [...billingSteps, ...apiSteps];
+    logDryRunPlan(plan);
+    return plan;
+  }
+
+  // Without a billing account nothing accrues costs, so the API
+  // disables are only critical when billing is still linked
+  const billingStopped = billingSteps.some(
+    ({ status }) =>
+      status === STEP_SUCCEEDED || status === STEP_ALREADY_DISABLED
+  );
+  const results = [
+    ...billingSteps,
+    ...apiSteps.map((step) => ({ ...step, critical: !billingStopped })),
+  ];
+  logDisableResults(results);
+  assertNoCriticalFailures(results);
+  return results;
+};
+
+/**
+ * Logs a summary of the calls a dry run would make, in order
+ * @param {object[]} plan the planned calls
+ */
+export const logDryRunPlan = (plan) => {
+  if (plan.length === 0) return;
+  console.log(`🧪 DRY RUN: ${plan.length} call(s) would be made:`);
+  plan.forEach((step, i) => {
+    console.log(
+      `🧪   ${i + 1}. ${step.call} ${step.target} - ${step.permission}: ${step.allowed ? "allowed" : "DENIED"}${step.dependents?.length > 0 ? ` - also disables ${step.dependents.join(", ")}` : ""}`
+    );
+  });
+};
+
 /**
  * Validates that there is a list of services provided.
  *  If none, ignore this process
  *  If services selected, explicitly disable these services
- * @returns None
+ * @param {string[]} [apiList] services to disable, defaults to DISABLE_API_LIST
+ * @param {object} options
+ * @param {boolean} options.dryRun report the calls instead of making them
+ * @param {String} options.projectId the project to act on
+ * @returns {Promise<object[]>} the planned calls, in order, in a dry run,
+ *  otherwise the result of every step. Throws when a disable failed
+ */
+export const executeDisableAPI = async (
+  apiList,
+  { dryRun = isDryRun(), projectId = process.env.GCLOUD_PROJECT } = {}
+) => {
+  const steps = await disableApis(apiList, { dryRun, projectId });
+  if (!dryRun) {
+    logDisableResults(steps);
+    assertNoCriticalFailures(steps);
+  }
+  return steps;
+};
+
+/**
+ * Disables the services, in order, without failing on the result
+ * @param {string[]} [apiList] services to disable, defaults to DISABLE_API_LIST
+ * @param {object} options
+ * @param {boolean} options.dryRun report the calls instead of making them
+ * @param {String} options.projectId the project to act on
+ * @returns {Promise<object[]>} the planned calls, in order, in a dry run,
+ *  otherwise the result of every step
  */
-export const executeDisableAPI = async () => {
-  
-  // Validate that there are services to disable (or at least the var is non-null)
-  if (!process.env.DISABLE_API_LIST) {
+const disableApis = async (apiList, { dryRun, projectId }) => {
+  // Validate that there are services to disable (or at least the var is
+  // non-null)
+  if (!apiList && !process.env.DISABLE_API_LIST) {
     console.log("ℹ️ No services to disable");
-    return;
+    return [];
   }
 
   // Extract selected APIs
-  const disableApiList = process.env.DISABLE_API_LIST.split(",");
-  let disableFunctions = false;
+  const disableApiList = (apiList ?? process.env.DISABLE_API_LIST.split(","))
+    .map((api) => api.trim())
+    .filter((api) => api.length > 0);
   console.log(`ℹ️ List of services to disable: ${disableApiList}`);
 
   // Validate that there are services to disable
   if (disableApiList.length === 0) {
     console.log("ℹ️ No services to disable");
-    return;
+    return [];
+  }
+
+  // We need to disable cloud functions last
+  const isFunctionsApi = (api) => api === Constants.SERVICE_CLOUDFUNCTIONS;
+  const configuredApiList = [
+    ...disableApiList.filter((api) => !isFunctionsApi(api)),
+    ...disableApiList.filter(isFunctionsApi),
+  ];
+
+  // Only enabled services are disabled, misspelled ones are reported
+  const { plan: preflight, enabled } = await runPreflight(
+    projectId,
+    configuredApiList
+  );
+  const requestedApiList = preflight
+    .filter(({ status }) => status === PREFLIGHT_DISABLE)
+    .map(({ api }) => api);
+  const skipped = dryRun
+    ? []
+    : preflight
+        .filter(({ status }) => status === PREFLIGHT_NOT_ENABLED)
+        .map(({ api }) => ({
+          action: "disable_service",
+          target: api,
+          status: STEP_ALREADY_DISABLED,
+          critical: true,
+        }));
+
+  // Disabling a service also disables its dependents, which must not
+  // take down the protected services
+  const { apis: orderedApiList, report } = await checkProtectedServices(
+    projectId,
+    requestedApiList,
+    { dryRun, enabled }
+  );
+  if (orderedApiList.length === 0) {
+    console.log("ℹ️ No enabled services to disable");
+    return skipped;
+  }
+
+  if (!dryRun) {
+    if (enabled) await recordEnabledApis(projectId, orderedApiList);
   }
 
   // Iterate through selected APIs and disable one-by-one
-  for (const api of disableApiList) {
-    // We need to disable cloud functions last
-    if (api === Constants.SERVICE_CLOUDFUNCTIONS) {
-      disableFunctions = true;
-    } else {
-      console.log(`ℹ️ Disabling service: ${api}`);
-      await disableService(process.env.GCLOUD_PROJECT, api);
+  const steps = [...skipped];
+  for (const api of orderedApiList) {
+    if (!dryRun) console.log(`ℹ️ Disabling service: ${api}`);
+    const step = await disableService(projectId, api, { dryRun });
+    const dependents = report.find((entry) => entry.api === api)?.dependents;
+    steps.push({
+      ...step,
+      ...(dependents ? { dependents } : {}),
+      ...(dryRun ? {} : { critical: true }),
+    });
+  }
+
+  // Notify once the services are down, a hanging notification channel
+  // must not hold up the disable
+  const disabled = steps
+    .filter(({ status }) => status === STEP_SUCCEEDED)
+    .map(({ target }) => target);
+  if (!dryRun && disabled.length > 0) {
+    await sendNotification({
+      event: EVENT_SHUTDOWN,
+      title: "Services disabled",
+      message: `The budget threshold has been reached, disabled: ${disabled.join(", ")}`,
+      details: { apis: disabled },
+      projectId,
+    });
+  }
+  return steps;
+};
+
+/**
+ * Records the enabled APIs about to be disabled, so they can be
+ *  restored later. A failure is logged, but never stops the shutdown
+ * @param {String} projectId for the Firebase project
+ * @param {String[]} apiList enabled APIs about to be disabled, in order
+ */
+const recordEnabledApis = async (projectId, apiList) => {
+  try {
+    await recordApiShutdown(projectId, apiList);
+  } catch (error) {
+    console.error("❌ Failed to record enabled services for restore:", error);
+  }
+};
+
+/**
+ * Records the linked billing account, so it can be restored later,
+ *  and removes it from the project
+ * @param {String} projectId for the Firebase project
+ * @param {object} options
+ * @param {boolean} options.dryRun report the call instead of making it
+ * @returns {Promise<object[]>} the planned call in a dry run, otherwise
+ *  the result of the step
+ */
+const disableBilling = async (projectId, { dryRun = false } = {}) => {
+  if (dryRun) {
+    return [await disableBillingForProject(projectId, { dryRun })];
+  }
+
+  const result = {
+    action: "disable_billing",
+    target: projectId,
+    critical: true,
+  };
+  try {
+    const billingAccountName = await getBillingAccountForProject(projectId);
+    if (!billingAccountName) {
+      console.log(`ℹ️ Billing is already disabled for ${projectId}`);
+      return [{ ...result, status: STEP_ALREADY_DISABLED }];
     }
+    await recordBillingShutdown(projectId, billingAccountName);
+  } catch (error) {
+    console.error("❌ Failed to record billing account for restore:", error);
   }
 
-  // Finally disable the cloud functions API
-  if (disableFunctions) {
-    console.log(`ℹ️ Disabling service: ${Constants.SERVICE_CLOUDFUNCTIONS}`);
-    await disableService(
-      process.env.GCLOUD_PROJECT,
-      Constants.SERVICE_CLOUDFUNCTIONS
-    );
+  // Notify once billing is removed, a hanging notification channel must
+  // not hold up the disable
+  try {
+    await disableBillingForProject(projectId);
+  } catch (error) {
+    console.error(`❌ Failed to disable billing for ${projectId}:`, error);
+    await sendNotification({
+      event: EVENT_FAILURE,
+      title: "Failed to disable billing",
+      message: `Removing the billing account from ${projectId} failed: ${error.message}`,
+      details: { projectId },
+      projectId,
+    });
+    return [
+      {
+        ...result,
+        status: STEP_FAILED,
+        attempts: error.attempts,
+        error: error.message,
+        transient: isTransientError(error),
+      },
+    ];
   }
+
+  await sendNotification({
+    event: EVENT_SHUTDOWN,
+    title: "Billing disabled",
+    message: `The budget threshold has been reached, the billing account was removed from ${projectId}.`,
+    details: { projectId },
+    projectId,
+  });
+  return [{ ...result, status: STEP_SUCCEEDED }];
 };
 
 /**
  * Validates that billing is to be disabled
  *  If false, ignore this process
  *  If true, remove the billing account from project
- * @returns None
+ * @param {object} options
+ * @param {boolean} options.dryRun report the call instead of making it
+ * @param {String} options.projectId the project to act on
+ * @returns {Promise<object[]>} the planned call in a dry run, otherwise
+ *  the result of the step
  */
-export const executeDisableBilling = async () => {
-  if (process.env.DISABLE_BILLING === 'false') {
+export const executeDisableBilling = async ({
+  dryRun = isDryRun(),
+  projectId = process.env.GCLOUD_PROJECT,
+} = {}) => {
+  if (process.env.DISABLE_BILLING === "false") {
     console.log("ℹ️ Disable billing is not active, skipping strategy");
-    return;
+    return [];
   }
 
-  await disableBillingForProject(process.env.GCLOUD_PROJECT);
+  return disableBilling(projectId, { dryRun });
 };
@@ -0,0 +1,249 @@
+import { getFirestore, Timestamp } from "firebase-admin/firestore";
+
+const DEFAULT_STATE_COLLECTION = "ext-auto-stop-state";
+
+// State document tracking which action tiers ran this billing period
+export const ACTION_TIERS_STATE_DOC = "actionTiers";
+
+// State document tracking which budget alerts were acted on this
+// billing period. Cloud Billing repeats its notifications, and Pub/Sub
+// delivers at least once, so the same alert arrives many times.
+export const BUDGET_ALERTS_STATE_DOC = "budgetAlerts";
+export const STOP_CLAIM_KEY = "stop";
+
+// State document tracking forecast actions this billing period
+export const FORECAST_STATE_DOC = "forecast";
+
+// State document tracking burn rate spike warnings, and the disable for
+// exceeding a spend per hour ceiling, this billing period
+export const BURN_RATE_STATE_DOC = "burnRate";
+export const BURN_RATE_LIMIT_CLAIM_KEY = "limit";
+
+// State document tracking the services disabled for exceeding their own
+// budget this billing period
+export const SERVICE_BUDGET_STATE_DOC = "serviceBudgets";
+
+// State document holding the last count of monthly active Authentication
+// users, which is too slow to repeat on every monitoring run
+export const AUTH_MAU_STATE_DOC = "authMonthlyActiveUsers";
+
+/**
+ * @returns {FirebaseFirestore.CollectionReference} The state collection.
+ */
+export const getStateCollection = () =>
+  getFirestore().collection(
+    process.env.STATE_COLLECTION?.trim() || DEFAULT_STATE_COLLECTION,
+  );
+
+/**
+ * @param {string} docId - The state document ID.
+ * @returns {FirebaseFirestore.DocumentReference} The state document.
+ */
+export const getStateDoc = (docId) => getStateCollection().doc(docId);
+
+/**
+ * Scopes a state document to a monitored project. The project the
+ * extension is installed in keeps the unscoped document.
+ *
+ * @param {string} docId - The state document ID.
+ * @param {string} [projectId] - The project the state belongs to.
+ * @returns {string} The state document ID for the project.
+ */
+export const getProjectStateDocId = (docId, projectId) =>
+  !projectId || projectId === process.env.GCLOUD_PROJECT
+    ? docId
+    : `${docId}_${projectId}`;
+
+/**
+ * @param {object} data - The state document data.
+ * @param {string} periodKey - The current billing period key.
+ * @param {string} key - The claimed key.
+ * @returns {boolean} True if the key is claimed in this billing period.
+ */
+export const isClaimed = (data, periodKey, key) =>
+  data.periodKey === periodKey && Boolean(data.claimed?.[key]);
+
+/**
+ * @param {object} data - The state document data.
+ * @param {function(string): boolean} matches - Selects the keys to drop.
+ * @returns {object} The data without the matching claims.
+ */
+export const withoutClaims = (data, matches) => ({
+  ...data,
+  claimed: Object.fromEntries(
+    Object.entries(data.claimed ?? {}).filter(([key]) => !matches(key)),
+  ),
+});
+
+/**
+ * Atomically claims `key` within the given billing period. Claims from
+ * earlier billing periods are discarded, so every key can be claimed
+ * once per period.
+ *
+ * @param {string} docId - The state document holding the claims.
+ * @param {string} periodKey - The current billing period key.
+ * @param {string} key - The key to claim.
+ * @param {object} [details] - Stored with the claim, for auditing.
+ * @returns {Promise<boolean>} True if the key was claimed by this call,
+ * false if it was already claimed in this billing period.
+ */
+export const claimForPeriod = async (docId, periodKey, key, details = {}) => {
+  const ref = getStateDoc(docId);
+  return getFirestore().runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    if (isClaimed(data, periodKey, key)) return false;
+
+    const claimed = data.periodKey === periodKey ? (data.claimed ?? {}) : {};
+
+    tx.set(ref, {
+      periodKey,
+      claimed: {
+        ...claimed,
+        [key]: { ...details, claimedAt: Timestamp.now() },
+      },
+    });
+    return true;
+  });
+};
+
+/**
+ * Releases a claim made with claimForPeriod, so it can be retried.
+ *
+ * @param {string} docId - The state document holding the claims.
+ * @param {string} periodKey - The current billing period key.
+ * @param {string} key - The key to release.
+ */
+export const releaseForPeriod = async (docId, periodKey, key) => {
+  const ref = getStateDoc(docId);
+  await getFirestore().runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    if (data.periodKey !== periodKey || !data.claimed?.[key]) return;
+
+    const claimed = { ...data.claimed };
+    delete claimed[key];
+    tx.set(ref, { periodKey, claimed });
+  });
+};
+
+/**
+ * Claims a key for the billing period. The kill switch must work without
+ * Firestore, so when the state store fails the claim is granted and the
+ * action runs without de-duplication.
+ *
+ * @param {string} docId - The state document holding the claims.
+ * @param {string} periodKey - The current billing period key.
+ * @param {string} key - The key to claim.
+ * @param {object} [details] - Stored with the claim, for auditing.
+ * @returns {Promise<boolean>} False only if the key was already claimed
+ * in this billing period.
+ */
+export const claimOrFailOpen = async (docId, periodKey, key, details) => {
+  try {
+    return await claimForPeriod(docId, periodKey, key, details);
+  } catch (error) {
+    console.error(
+      `❌ Failed to claim ${key} in the state store, skipping de-duplication:`,
+      error,
+    );
+    return true;
+  }
+};
+
+/**
+ * Releases a claim, logging instead of throwing when the state store
+ * fails, so the error which caused the release is not masked.
+ *
+ * @param {string} docId - The state document holding the claims.
+ * @param {string} periodKey - The current billing period key.
+ * @param {string} key - The key to release.
+ */
+export const releaseOrLog = async (docId, periodKey, key) => {
+  try {
+    await releaseForPeriod(docId, periodKey, key);
+  } catch (error) {
+    console.error(`❌ Failed to release ${key} in the state store:`, error);
+  }
+};
+
+/**
+ * Runs `action` once per billing period. The claim is released when the
+ * action fails, whether the failure is transient or permanent, so the
+ * next alert or monitoring run retries it, e.g. once a missing
+ * permission was granted.
+ *
+ * @param {object} claim - The claim guarding the action.
+ * @param {string} claim.docId - The state document holding the claims.
+ * @param {string} claim.periodKey - The current billing period key.
+ * @param {string} claim.key - The key to claim.
+ * @param {object} [claim.details] - Stored with the claim, for auditing.
+ * @param {function(): Promise} action - The action to run.
+ * @param {object} [store] - Claims and releases the key.
+ * @param {function} [store.claim] - Defaults to claimOrFailOpen.
+ * @param {function} [store.release] - Defaults to releaseOrLog.
+ * @returns {Promise<boolean>} True if the action ran, false if the key
+ * was already claimed in this billing period.
+ */
+export const runOncePerPeriod = async (
+  { docId, periodKey, key, details },
+  action,
+  { claim = claimOrFailOpen, release = releaseOrLog } = {},
+) => {
+  if (!(await claim(docId, periodKey, key, details))) return false;
+  try {
+    await action();
+  } catch (error) {
+    await release(docId, periodKey, key);
+    throw error;
+  }
+  return true;
+};
+
+/**
+ * Releases every claim matching `matches`, whatever its billing period.
+ *
+ * @param {string} docId - The state document holding the claims.
+ * @param {function(string): boolean} matches - Selects the keys to release.
+ */
+export const releaseClaims = async (docId, matches) => {
+  const ref = getStateDoc(docId);
+  await getFirestore().runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return;
+    tx.set(ref, withoutClaims(doc.data(), matches));
+  });
+};
+
+/**
+ * Records the latest cost interval start seen for a budget, unless the
+ * given one is older.
+ *
+ * @param {string} docId - The state document holding the intervals.
+ * @param {string} budgetKey - Identifies the budget, e.g.
+ * `billingAccountId/budgetId`.
+ * @param {string} costIntervalStart - The interval start of the alert.
+ * @returns {Promise<string|undefined>} The latest interval start seen
+ * before this call.
+ */
+export const advanceBudgetInterval = async (
+  docId,
+  budgetKey,
+  costIntervalStart,
+) => {
+  const ref = getStateDoc(docId);
+  return getFirestore().runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const intervals = (doc.exists ? doc.data().intervals : null) ?? {};
+    const latest = intervals[budgetKey];
+
+    if (!latest || Date.parse(costIntervalStart) > Date.parse(latest)) {
+      tx.set(
+        ref,
+        { intervals: { ...intervals, [budgetKey]: costIntervalStart } },
+        { merge: true },
+      );
+    }
+    return latest;
+  });
+};
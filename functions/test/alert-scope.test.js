@@ -0,0 +1,32 @@
+import assert from "assert";
+import { parseProjectList, filterProjects } from "../alert-scope.js";
+
+describe("Alert scope", () => {
+  it("parses project lists", () => {
+    assert.deepStrictEqual(parseProjectList(" shop-prod, ,shop-staging "), [
+      "shop-prod",
+      "shop-staging",
+    ]);
+    assert.deepStrictEqual(parseProjectList(undefined), []);
+  });
+
+  it("never touches denied projects", () => {
+    assert.deepStrictEqual(
+      filterProjects(["shop-prod", "shop-staging", "core-infra"], {
+        deny: ["core-infra"],
+      }),
+      ["shop-prod", "shop-staging"]
+    );
+  });
+
+  it("only touches allowed projects when an allow list is set", () => {
+    assert.deepStrictEqual(
+      filterProjects(["shop-prod", "shop-staging", "core-infra"], {
+        allow: ["shop-staging", "core-infra"],
+        deny: ["core-infra"],
+      }),
+      ["shop-staging"]
+    );
+    assert.deepStrictEqual(filterProjects(["shop-prod"]), ["shop-prod"]);
+  });
+});
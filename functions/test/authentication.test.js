@@ -0,0 +1,47 @@
+import assert from "assert";
+import { Timestamp } from "firebase-admin/firestore";
+import { parseSmsCosts, isFreshCount } from "../monitoring/authentication.js";
+
+describe("Authentication SMS costs", () => {
+  it("parses per-country prices", () => {
+    assert.deepStrictEqual(parseSmsCosts("us:0.01, IN:0.04"), {
+      US: 0.01,
+      IN: 0.04,
+    });
+    assert.deepStrictEqual(parseSmsCosts(undefined), {});
+  });
+
+  it("rejects invalid entries", () => {
+    assert.throws(() => parseSmsCosts("USA:0.01"), /country code/);
+    assert.throws(() => parseSmsCosts("US:free"), /non-negative number/);
+  });
+});
+
+describe("Authentication monthly active users", () => {
+  const startOfMonthTs = 1709280000;
+  const countedAtMs = startOfMonthTs * 1000 + 60_000;
+  const stored = {
+    startOfMonthTs,
+    count: 42,
+    countedAt: Timestamp.fromMillis(countedAtMs),
+  };
+
+  it("reuses a recent count of the same billing period", () => {
+    assert.strictEqual(
+      isFreshCount(stored, startOfMonthTs, countedAtMs + 60_000),
+      true,
+    );
+  });
+
+  it("counts again after an hour, or in a new billing period", () => {
+    assert.strictEqual(
+      isFreshCount(stored, startOfMonthTs, countedAtMs + 3_600_000),
+      false,
+    );
+    assert.strictEqual(
+      isFreshCount(stored, startOfMonthTs + 86_400, countedAtMs),
+      false,
+    );
+    assert.strictEqual(isFreshCount(undefined, startOfMonthTs, 0), false);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from "assert";
+import { parseBurnRateLimits, getBurnRate } from "../monitoring/burnRate.js";
+import { toHourlyCost } from "../monitoring/cloudMonitoring.js";
+
+const HOUR = 3600;
+const nowTs = 1_700_000_000;
+
+/**
+ * @param {number[]} costs - Cost per hour, oldest first, ending at nowTs.
+ * @returns {object} An hourly cost series.
+ */
+const series = (costs) => {
+  const hourlyCost = {};
+  costs.forEach((cost, i) => {
+    hourlyCost[nowTs - (costs.length - 1 - i) * HOUR] = cost;
+  });
+  return hourlyCost;
+};
+
+describe("Burn rate", () => {
+  it("parses per-service limits", () => {
+    assert.deepStrictEqual(
+      parseBurnRateLimits("firestore:5, hosting:2.5", ["firestore", "hosting"]),
+      { firestore: 5, hosting: 2.5 },
+    );
+    assert.deepStrictEqual(parseBurnRateLimits("", ["firestore"]), {});
+    assert.throws(
+      () => parseBurnRateLimits("unknown:5", ["firestore"]),
+      /service must be one of/,
+    );
+    assert.throws(
+      () => parseBurnRateLimits("firestore:-1", ["firestore"]),
+      /positive number/,
+    );
+  });
+
+  it("detects a ceiling breach", () => {
+    const burnRate = getBurnRate({
+      hourlyCost: series([1, 1, 1, 6]),
+      nowTs,
+      limit: 5,
+    });
+    assert.strictEqual(burnRate.currentRate, 6);
+    assert.strictEqual(burnRate.limitExceeded, true);
+    assert.strictEqual(burnRate.spike, false);
+  });
+
+  it("prices the usage after the free tier at the unit price", () => {
+    // 1000 units in 10 hours, the first 900 free, at 0.01 per unit
+    const hourlyUsage = series(new Array(10).fill(100));
+    const burnRate = getBurnRate({
+      hourlyCost: toHourlyCost(hourlyUsage, 1, 100),
+      nowTs,
+      limit: 0.5,
+    });
+    assert.strictEqual(burnRate.currentRate, 1);
+    assert.strictEqual(burnRate.limitExceeded, true);
+  });
+
+  it("detects a spike against the trailing average", () => {
+    const costs = new Array(24).fill(0.1);
+    costs.push(0.1, 3);
+    const burnRate = getBurnRate({
+      hourlyCost: series(costs),
+      nowTs,
+      spikeFactor: 20,
+    });
+    assert.strictEqual(burnRate.limitExceeded, false);
+    assert.strictEqual(burnRate.spike, true);
+    assert.strictEqual(Math.round(burnRate.trailingAverage * 10), 1);
+  });
+
+  it("averages over the hours observed in the billing period", () => {
+    const burnRate = getBurnRate({
+      hourlyCost: series([1, 1, 1, 1, 1]),
+      nowTs,
+      periodStartTs: nowTs - 5 * HOUR,
+      spikeFactor: 2,
+    });
+    assert.strictEqual(burnRate.trailingAverage, 1);
+    assert.strictEqual(burnRate.spike, false);
+  });
+
+  it("ignores spikes without trailing spend", () => {
+    const burnRate = getBurnRate({
+      hourlyCost: series([0, 0, 0, 3]),
+      nowTs,
+      spikeFactor: 20,
+    });
+    assert.strictEqual(burnRate.spike, false);
+  });
+});
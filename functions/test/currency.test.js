@@ -0,0 +1,44 @@
+import assert from "assert";
+import { parseExchangeRates, getCurrency } from "../monitoring/currency.js";
+import getPrice from "../monitoring/getPrice.js";
+
+describe("Currency", () => {
+  afterEach(() => {
+    delete process.env.MONITOR_EXCHANGE_RATES;
+  });
+
+  it("parses the exchange-rate table", () => {
+    assert.deepStrictEqual(parseExchangeRates("eur:0.9, NOK:10.5"), {
+      EUR: 0.9,
+      NOK: 10.5,
+    });
+    assert.deepStrictEqual(parseExchangeRates(""), {});
+    assert.throws(() => parseExchangeRates("EURO:1"), /currency code/);
+    assert.throws(() => parseExchangeRates("EUR:0"), /positive number/);
+  });
+
+  it("resolves the exchange rate of the budget currency", () => {
+    process.env.MONITOR_EXCHANGE_RATES = "NOK:10";
+    assert.deepStrictEqual(getCurrency("usd"), { code: "USD", rate: 1 });
+    assert.deepStrictEqual(getCurrency("NOK"), { code: "NOK", rate: 10 });
+    assert.deepStrictEqual(getCurrency("EUR"), { code: "EUR", rate: null });
+  });
+
+  it("converts default prices and ranges", () => {
+    const nok = { code: "NOK", rate: 10 };
+    assert.strictEqual(getPrice("Test", undefined, 0.15, 0.01, 5, nok), 1.5);
+    assert.strictEqual(getPrice("Test", "20", 0.15, 0.01, 5, nok), 20);
+    // Above the converted maximum of 50 NOK
+    assert.strictEqual(getPrice("Test", "60", 0.15, 0.01, 5, nok), 1.5);
+    assert.strictEqual(getPrice("Test", "0.15", 0.3, 0.01, 5), 0.15);
+  });
+
+  it("requires a price without an exchange rate", () => {
+    const eur = { code: "EUR", rate: null };
+    assert.strictEqual(getPrice("Test", "0.14", 0.15, 0.01, 5, eur), 0.14);
+    assert.throws(
+      () => getPrice("Test", "", 0.15, 0.01, 5, eur),
+      /no exchange rate configured for EUR/,
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import assert from "assert";
+import { forecastPeriodCost } from "../monitoring/forecast.js";
+import { toHourlyCost, mergeHourly } from "../monitoring/cloudMonitoring.js";
+
+const HOUR = 3600;
+const periodStartTs = 1_700_000_000;
+const periodEndTs = periodStartTs + 30 * 24 * HOUR;
+
+/**
+ * @param {number} hours - Number of hours from the start of the period.
+ * @param {number} costPerHour - Cost in every hour.
+ * @returns {object} An hourly cost series.
+ */
+const flatSeries = (hours, costPerHour) => {
+  const series = {};
+  for (let h = 1; h <= hours; h++) {
+    series[periodStartTs + h * HOUR] = costPerHour;
+  }
+  return series;
+};
+
+describe("Forecast", () => {
+  it("does not forecast early in the billing period", () => {
+    const result = forecastPeriodCost({
+      totalCost: 1,
+      hourlyCost: flatSeries(2, 0.5),
+      periodStartTs,
+      periodEndTs,
+      nowTs: periodStartTs + 2 * HOUR,
+    });
+    assert.strictEqual(result, null);
+  });
+
+  it("extrapolates steady spend linearly", () => {
+    const result = forecastPeriodCost({
+      totalCost: 48,
+      hourlyCost: flatSeries(48, 1),
+      periodStartTs,
+      periodEndTs,
+      nowTs: periodStartTs + 48 * HOUR,
+    });
+    assert.strictEqual(Math.round(result.linear), 720);
+    assert.strictEqual(Math.round(result.recent), 720);
+    assert.strictEqual(Math.round(result.forecast), 720);
+  });
+
+  it("uses the recent rate when spend spikes", () => {
+    // Two quiet days, then a spike of 10 per hour in the last 12 hours
+    const hourlyCost = flatSeries(60, 0.1);
+    for (let h = 49; h <= 60; h++) {
+      hourlyCost[periodStartTs + h * HOUR] = 10;
+    }
+    const totalCost = Object.values(hourlyCost).reduce((a, b) => a + b, 0);
+
+    const result = forecastPeriodCost({
+      totalCost,
+      hourlyCost,
+      periodStartTs,
+      periodEndTs,
+      nowTs: periodStartTs + 60 * HOUR,
+      recentHours: 12,
+    });
+
+    assert.ok(result.recent > result.linear);
+    assert.strictEqual(result.forecast, result.recent);
+    assert.strictEqual(
+      Math.round(result.recent),
+      Math.round(totalCost + 10 * 660),
+    );
+  });
+
+  it("spreads paid cost over the usage after the free tier", () => {
+    const hourlyCost = toHourlyCost({ 1: 1, 2: 3 }, 8);
+    assert.deepStrictEqual(hourlyCost, { 1: 2, 2: 6 });
+    assert.deepStrictEqual(toHourlyCost({ 1: 5 }, 0), {});
+    assert.deepStrictEqual(toHourlyCost({ 1: 2, 2: 3, 3: 3 }, 4, 4), {
+      2: 1,
+      3: 3,
+    });
+    assert.deepStrictEqual(mergeHourly({ 1: 1 }, { 1: 2, 2: 3 }), {
+      1: 3,
+      2: 3,
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import assert from "assert";
+import {
+  getRequiredPermissions,
+  getProjectRoles,
+  findWiredBudgets,
+  buildHealthReport,
+  CHECK_PASSED,
+  CHECK_FAILED,
+  CHECK_SKIPPED,
+} from "../health-check.js";
+
+const PUBSUB_PERMISSIONS = [
+  "pubsub.topics.get",
+  "pubsub.subscriptions.get",
+  "pubsub.subscriptions.consume",
+];
+
+/**
+ * @param {object} env the extension configuration
+ * @param {object} [roles] of the project, all of them by default
+ * @returns {String[]} the permissions the configuration requires
+ */
+const required = (env, roles) =>
+  getRequiredPermissions(env, roles)
+    .filter((entry) => entry.required)
+    .map(({ permission }) => permission);
+
+describe("Health check", () => {
+  it("requires the permissions of the configured strategies", () => {
+    assert.deepStrictEqual(
+      required({ DISABLE_BILLING: "false" }),
+      PUBSUB_PERMISSIONS
+    );
+    assert.deepStrictEqual(required({}), [
+      "resourcemanager.projects.deleteBillingAssignment",
+      ...PUBSUB_PERMISSIONS,
+    ]);
+    assert.deepStrictEqual(
+      required({
+        DISABLE_BILLING: "false",
+        DISABLE_API_LIST: "firestore.googleapis.com",
+        MONITORING_ENABLED: "test",
+      }),
+      [
+        "serviceusage.services.disable",
+        "serviceusage.services.list",
+        "monitoring.timeSeries.list",
+        "cloudfunctions.functions.list",
+        ...PUBSUB_PERMISSIONS,
+      ]
+    );
+  });
+
+  it("derives the permissions from the action tiers", () => {
+    assert.deepStrictEqual(
+      required({
+        DISABLE_BILLING: "false",
+        BUDGET_ACTION_TIERS: "0.5:warn,1.0:disable_billing",
+      }),
+      [
+        "resourcemanager.projects.deleteBillingAssignment",
+        ...PUBSUB_PERMISSIONS,
+      ]
+    );
+    assert.deepStrictEqual(
+      required({
+        DISABLE_BILLING: "false",
+        BUDGET_ACTION_TIERS: "1.0:disable",
+      }),
+      [
+        "serviceusage.services.disable",
+        "serviceusage.services.list",
+        "resourcemanager.projects.deleteBillingAssignment",
+        ...PUBSUB_PERMISSIONS,
+      ]
+    );
+  });
+
+  it("requires the permissions of the enabled monitors", () => {
+    assert.deepStrictEqual(
+      required(
+        {
+          DISABLE_BILLING: "false",
+          MONITORING_ENABLED: "true",
+          MONITOR_AUTH_IDENTITY_PLATFORM: "true",
+        },
+        { installed: false, monitored: true, alerted: false }
+      ),
+      [
+        "monitoring.timeSeries.list",
+        "cloudfunctions.functions.list",
+        "firebaseauth.users.get",
+      ]
+    );
+  });
+
+  it("requires only the strategies in projects the alerts apply to", () => {
+    const env = {
+      MONITORING_ENABLED: "true",
+      FORECAST_DISABLE_API_LIST: "firestore.googleapis.com",
+      MONITOR_SERVICE_BUDGETS: "firestore:5",
+    };
+    assert.deepStrictEqual(
+      required(env, { installed: false, monitored: false, alerted: true }),
+      [
+        "serviceusage.services.disable",
+        "serviceusage.services.list",
+        "resourcemanager.projects.deleteBillingAssignment",
+      ]
+    );
+    assert.deepStrictEqual(
+      required(
+        { DISABLE_BILLING: "false", MONITOR_SERVICE_BUDGETS: "firestore:5" },
+        { installed: false, monitored: true, alerted: false }
+      ),
+      []
+    );
+  });
+
+  it("checks every project the extension acts on once", () => {
+    assert.deepStrictEqual(
+      getProjectRoles("shop", {
+        monitored: ["shop", "shop-staging"],
+        alerted: ["shop-staging", "shop-prod"],
+      }),
+      [
+        { projectId: "shop", installed: true, monitored: true, alerted: false },
+        {
+          projectId: "shop-staging",
+          installed: false,
+          monitored: true,
+          alerted: true,
+        },
+        {
+          projectId: "shop-prod",
+          installed: false,
+          monitored: false,
+          alerted: true,
+        },
+      ]
+    );
+  });
+
+  it("finds the budgets publishing to the topic", () => {
+    const topic = "projects/shop/topics/auto-stop";
+    assert.deepStrictEqual(
+      findWiredBudgets(
+        [
+          {
+            name: "billingAccounts/0/budgets/a",
+            notificationsRule: { pubsubTopic: topic },
+          },
+          {
+            name: "billingAccounts/0/budgets/b",
+            notificationsRule: { pubsubTopic: "projects/shop/topics/other" },
+          },
+          { name: "billingAccounts/0/budgets/c" },
+        ],
+        topic
+      ),
+      ["a"]
+    );
+  });
+
+  it("summarizes the checks", () => {
+    const report = buildHealthReport("shop", [
+      { name: "billing:read", status: CHECK_PASSED, detail: "" },
+      { name: "budget:resolve", status: CHECK_SKIPPED, detail: "" },
+    ]);
+    assert.strictEqual(report.ok, true);
+    assert.deepStrictEqual(report.summary, {
+      passed: 1,
+      failed: 0,
+      skipped: 1,
+    });
+
+    const failed = buildHealthReport("shop", [
+      { name: "pubsub:topic", status: CHECK_FAILED, detail: "", remedy: "" },
+    ]);
+    assert.strictEqual(failed.ok, false);
+    assert.strictEqual(failed.summary.failed, 1);
+  });
+});
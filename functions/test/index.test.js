@@ -1,5 +1,5 @@
-//https://www.npmjs.com/package/firebase-functions-test
-//https://firebase.google.com/docs/functions/unit-testing
+// https://www.npmjs.com/package/firebase-functions-test
+// https://firebase.google.com/docs/functions/unit-testing
 
 import firebaseFunctionsTest from "firebase-functions-test";
 import { onInstallExtension } from "../index.js";
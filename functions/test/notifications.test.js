@@ -0,0 +1,141 @@
+import assert from "assert";
+import http from "http";
+import { SMTPServer } from "smtp-server";
+import {
+  sendNotification,
+  EVENT_WARNING,
+  EVENT_SHUTDOWN,
+} from "../notifications.js";
+
+const NOTIFY_ENV = [
+  "NOTIFY_WEBHOOK_URL",
+  "NOTIFY_SLACK_WEBHOOK_URL",
+  "NOTIFY_SMTP_HOST",
+  "NOTIFY_SMTP_PORT",
+  "NOTIFY_EMAIL_FROM",
+  "NOTIFY_EMAIL_TO",
+  "NOTIFY_EVENTS",
+];
+
+describe("Notifications", () => {
+  let httpServer;
+  let smtpServer;
+  let requests;
+  let emails;
+
+  before(async () => {
+    httpServer = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        res.statusCode = req.url === "/broken" ? 500 : 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => httpServer.listen(0, resolve));
+
+    smtpServer = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ["STARTTLS"],
+      onData: (stream, session, callback) => {
+        let data = "";
+        stream.on("data", (chunk) => (data += chunk));
+        stream.on("end", () => {
+          emails.push({ to: session.envelope.rcptTo[0].address, data });
+          callback();
+        });
+      },
+    });
+    await new Promise((resolve) => smtpServer.listen(0, resolve));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => httpServer.close(resolve));
+    await new Promise((resolve) => smtpServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    emails = [];
+    NOTIFY_ENV.forEach((name) => delete process.env[name]);
+    process.env.GCLOUD_PROJECT = "test-project";
+  });
+
+  const httpUrl = (path) =>
+    `http://localhost:${httpServer.address().port}${path}`;
+
+  it("does nothing when no channel is configured", async () => {
+    const delivered = await sendNotification({
+      event: EVENT_WARNING,
+      title: "Title",
+      message: "Message",
+    });
+    assert.deepStrictEqual(delivered, []);
+  });
+
+  it("posts JSON and Slack payloads to webhooks", async () => {
+    process.env.NOTIFY_WEBHOOK_URL = httpUrl("/webhook");
+    process.env.NOTIFY_SLACK_WEBHOOK_URL = httpUrl("/slack");
+
+    const delivered = await sendNotification({
+      event: EVENT_SHUTDOWN,
+      title: "Disabling billing",
+      message: "Budget reached",
+      details: { projectId: "test-project" },
+    });
+
+    assert.deepStrictEqual(delivered, ["webhook", "slack"]);
+    const webhook = requests.find((r) => r.url === "/webhook").body;
+    assert.strictEqual(webhook.event, EVENT_SHUTDOWN);
+    assert.strictEqual(webhook.projectId, "test-project");
+    assert.deepStrictEqual(webhook.details, { projectId: "test-project" });
+
+    const slack = requests.find((r) => r.url === "/slack").body;
+    assert.match(slack.text, /\*Disabling billing\* \(test-project\)/);
+  });
+
+  it("sends email over SMTP", async () => {
+    process.env.NOTIFY_SMTP_HOST = "localhost";
+    process.env.NOTIFY_SMTP_PORT = String(smtpServer.server.address().port);
+    process.env.NOTIFY_EMAIL_FROM = "ext@example.com";
+    process.env.NOTIFY_EMAIL_TO = "ops@example.com";
+
+    const delivered = await sendNotification({
+      event: EVENT_WARNING,
+      title: "Budget alert",
+      message: "50% reached",
+    });
+
+    assert.deepStrictEqual(delivered, ["email"]);
+    assert.strictEqual(emails.length, 1);
+    assert.strictEqual(emails[0].to, "ops@example.com");
+    assert.match(emails[0].data, /50% reached/);
+  });
+
+  it("skips events which are not enabled", async () => {
+    process.env.NOTIFY_WEBHOOK_URL = httpUrl("/webhook");
+    process.env.NOTIFY_EVENTS = "shutdown,failure";
+
+    const delivered = await sendNotification({
+      event: EVENT_WARNING,
+      title: "Budget alert",
+      message: "50% reached",
+    });
+
+    assert.deepStrictEqual(delivered, []);
+    assert.strictEqual(requests.length, 0);
+  });
+
+  it("does not throw when delivery fails", async () => {
+    process.env.NOTIFY_WEBHOOK_URL = httpUrl("/broken");
+
+    const delivered = await sendNotification({
+      event: EVENT_WARNING,
+      title: "Budget alert",
+      message: "50% reached",
+    });
+
+    assert.deepStrictEqual(delivered, []);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from "assert";
+import {
+  parseBudgetNotification,
+  getBudgetFraction,
+  isStaleInterval,
+  BASIS_COST,
+  BASIS_THRESHOLD,
+} from "../payload.js";
+
+const ATTRIBUTES = { billingAccountId: "012345-6789AB-CDEF01", budgetId: "b1" };
+
+/**
+ * @param {object} data - The notification payload.
+ * @param {object} [attributes] - The message attributes.
+ * @returns {object} A Pub/Sub message.
+ */
+const message = (data, attributes = ATTRIBUTES) => ({
+  data: Buffer.from(JSON.stringify(data)).toString("base64"),
+  attributes,
+});
+
+const notification = {
+  budgetDisplayName: "Budget",
+  costAmount: 45,
+  costIntervalStart: "2025-01-01T08:00:00Z",
+  budgetAmount: 50,
+  budgetAmountType: "SPECIFIED_AMOUNT",
+  currencyCode: "USD",
+  alertThresholdExceeded: 0.5,
+};
+
+describe("Budget notification payload", () => {
+  it("parses a valid notification", () => {
+    const result = parseBudgetNotification(message(notification));
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.isTest, false);
+    assert.strictEqual(result.notification.costAmount, 45);
+    assert.strictEqual(result.notification.alertThresholdExceeded, 0.5);
+    assert.strictEqual(result.notification.forecastThresholdExceeded, null);
+    assert.strictEqual(result.notification.budgetId, "b1");
+  });
+
+  it("recognises test messages", () => {
+    const result = parseBudgetNotification(
+      message({ extensionTest: true }, {}),
+    );
+    assert.strictEqual(result.isTest, true);
+    assert.deepStrictEqual(result.errors, []);
+  });
+
+  it("rejects empty and malformed messages", () => {
+    assert.deepStrictEqual(parseBudgetNotification({}).errors, [
+      "Message has no data",
+    ]);
+    assert.match(
+      parseBudgetNotification({ data: Buffer.from("{").toString("base64") })
+        .errors[0],
+      /not valid JSON/,
+    );
+    assert.match(
+      parseBudgetNotification(message(null)).errors[0],
+      /not a JSON object/,
+    );
+  });
+
+  it("reports every invalid field", () => {
+    const { notification: parsed, errors } = parseBudgetNotification(
+      message(
+        {
+          ...notification,
+          costAmount: "45",
+          costIntervalStart: "yesterday",
+          alertThresholdExceeded: "0.5",
+        },
+        { budgetId: "b1" },
+      ),
+    );
+    assert.strictEqual(parsed, null);
+    assert.strictEqual(errors.length, 4);
+    assert.ok(errors.some((error) => error.startsWith("costAmount")));
+    assert.ok(errors.some((error) => error.startsWith("costIntervalStart")));
+    assert.ok(errors.some((error) => error.startsWith("alertThreshold")));
+    assert.ok(errors.some((error) => error.includes("billingAccountId")));
+  });
+
+  it("calculates the fraction on either basis", () => {
+    const { notification: parsed } = parseBudgetNotification(
+      message(notification),
+    );
+    assert.strictEqual(getBudgetFraction(parsed, BASIS_THRESHOLD), 0.5);
+    assert.strictEqual(getBudgetFraction(parsed, BASIS_COST), 0.9);
+    assert.strictEqual(
+      getBudgetFraction({ ...parsed, alertThresholdExceeded: null }),
+      null,
+    );
+  });
+
+  it("only treats alerts older than the latest of the budget as stale", () => {
+    assert.strictEqual(
+      isStaleInterval("2024-01-01T08:00:00Z", undefined),
+      false,
+    );
+    assert.strictEqual(
+      isStaleInterval("2024-01-01T08:00:00Z", "2024-01-01T08:00:00Z"),
+      false,
+    );
+    assert.strictEqual(
+      isStaleInterval("2024-01-01T08:00:00Z", "2024-04-01T07:00:00Z"),
+      true,
+    );
+    assert.strictEqual(
+      isStaleInterval("2024-04-01T07:00:00Z", "2024-01-01T08:00:00Z"),
+      false,
+    );
+  });
+});
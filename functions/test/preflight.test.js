@@ -0,0 +1,50 @@
+import assert from "assert";
+import {
+  isValidServiceName,
+  planPreflight,
+  PREFLIGHT_DISABLE,
+  PREFLIGHT_NOT_ENABLED,
+  PREFLIGHT_UNKNOWN,
+} from "../preflight.js";
+
+describe("Pre-flight", () => {
+  it("validates service names", () => {
+    assert.strictEqual(isValidServiceName("firestore.googleapis.com"), true);
+    assert.strictEqual(isValidServiceName("fcm.googleapis.com"), true);
+    assert.strictEqual(isValidServiceName("Firestore.googleapis.com"), false);
+    assert.strictEqual(isValidServiceName("firestore"), false);
+    assert.strictEqual(isValidServiceName("fire store.googleapis.com"), false);
+    assert.strictEqual(isValidServiceName(undefined), false);
+  });
+
+  it("only disables enabled services", () => {
+    assert.deepStrictEqual(
+      planPreflight(
+        [
+          "firestore.googleapis.com",
+          "mlkit.googleapis.com",
+          "firestor.googleapis.com",
+          "not a service",
+        ],
+        ["firestore.googleapis.com", "pubsub.googleapis.com"],
+        ["firestor.googleapis.com"]
+      ),
+      [
+        { api: "firestore.googleapis.com", status: PREFLIGHT_DISABLE },
+        { api: "mlkit.googleapis.com", status: PREFLIGHT_NOT_ENABLED },
+        { api: "firestor.googleapis.com", status: PREFLIGHT_UNKNOWN },
+        { api: "not a service", status: PREFLIGHT_UNKNOWN },
+      ]
+    );
+  });
+
+  it("disables every valid service when the enabled ones are unknown", () => {
+    assert.deepStrictEqual(
+      planPreflight(["mlkit.googleapis.com", "bad name"], null),
+      [
+        { api: "mlkit.googleapis.com", status: PREFLIGHT_DISABLE },
+        { api: "bad name", status: PREFLIGHT_UNKNOWN },
+      ]
+    );
+  });
+});
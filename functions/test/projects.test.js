@@ -0,0 +1,38 @@
+import assert from "assert";
+import { parseMonitoredProjects } from "../monitoring/projects.js";
+
+describe("Monitored projects", () => {
+  it("parses projects with optional budget IDs", () => {
+    assert.deepStrictEqual(
+      parseMonitoredProjects("shop-prod:1a2b3c, shop-staging"),
+      {
+        all: false,
+        projects: [
+          { projectId: "shop-prod", budgetId: "1a2b3c" },
+          { projectId: "shop-staging", budgetId: null },
+        ],
+      },
+    );
+  });
+
+  it("monitors every project on the billing account with *", () => {
+    assert.deepStrictEqual(parseMonitoredProjects(" * "), {
+      all: true,
+      projects: [],
+    });
+  });
+
+  it("monitors only the own project when empty", () => {
+    assert.deepStrictEqual(parseMonitoredProjects(undefined), {
+      all: false,
+      projects: [],
+    });
+  });
+
+  it("rejects invalid project IDs", () => {
+    assert.throws(
+      () => parseMonitoredProjects("Shop_Prod"),
+      /expected a project ID/,
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import assert from "assert";
+import {
+  parseProtectedServices,
+  getCascade,
+  planProtectedDisable,
+  PROTECTED_POLICY_REFUSE,
+  PROTECTED_POLICY_WARN,
+} from "../protected-services.js";
+
+// firebase depends on firestore, and firebaseapp on firebase
+const GRAPH = {
+  "firestore.googleapis.com": ["firebase.googleapis.com"],
+  "firebase.googleapis.com": ["firebaseapp.googleapis.com"],
+  "firebaseapp.googleapis.com": ["firestore.googleapis.com"],
+  "firebasehosting.googleapis.com": [],
+};
+
+describe("Protected services", () => {
+  it("parses the protected services", () => {
+    assert.deepStrictEqual(
+      parseProtectedServices(
+        " pubsub.googleapis.com, ,identitytoolkit.googleapis.com"
+      ),
+      ["pubsub.googleapis.com", "identitytoolkit.googleapis.com"]
+    );
+    assert.deepStrictEqual(parseProtectedServices(undefined), []);
+  });
+
+  it("follows the dependents of the dependents, once", () => {
+    assert.deepStrictEqual(getCascade("firestore.googleapis.com", GRAPH), [
+      "firebase.googleapis.com",
+      "firebaseapp.googleapis.com",
+    ]);
+    assert.deepStrictEqual(getCascade("unknown.googleapis.com", GRAPH), []);
+  });
+
+  it("refuses disables which cascade to a protected service", () => {
+    const { apis, report } = planProtectedDisable(
+      ["firestore.googleapis.com", "firebasehosting.googleapis.com"],
+      GRAPH,
+      ["firebaseapp.googleapis.com"],
+      PROTECTED_POLICY_REFUSE
+    );
+    assert.deepStrictEqual(apis, ["firebasehosting.googleapis.com"]);
+    assert.deepStrictEqual(report[0].protectedHits, [
+      "firebaseapp.googleapis.com",
+    ]);
+    assert.strictEqual(report[0].refused, true);
+  });
+
+  it("refuses protected services themselves", () => {
+    const { apis } = planProtectedDisable(
+      ["firebasehosting.googleapis.com"],
+      GRAPH,
+      ["firebasehosting.googleapis.com"],
+      PROTECTED_POLICY_REFUSE
+    );
+    assert.deepStrictEqual(apis, []);
+  });
+
+  it("only reports the conflicts with the warn policy", () => {
+    const { apis, report } = planProtectedDisable(
+      ["firestore.googleapis.com"],
+      GRAPH,
+      ["firebase.googleapis.com"],
+      PROTECTED_POLICY_WARN
+    );
+    assert.deepStrictEqual(apis, ["firestore.googleapis.com"]);
+    assert.strictEqual(report[0].refused, false);
+  });
+
+  it("conflicts on every disable when the dependents are unknown", () => {
+    const refused = planProtectedDisable(
+      ["firestore.googleapis.com"],
+      null,
+      ["firebase.googleapis.com"],
+      PROTECTED_POLICY_REFUSE
+    );
+    assert.deepStrictEqual(refused.apis, []);
+    assert.strictEqual(refused.report[0].dependents, null);
+
+    const warned = planProtectedDisable(
+      ["firestore.googleapis.com"],
+      null,
+      ["firebase.googleapis.com"],
+      PROTECTED_POLICY_WARN
+    );
+    assert.deepStrictEqual(warned.apis, ["firestore.googleapis.com"]);
+    assert.strictEqual(warned.report[0].conflict, true);
+
+    const unprotected = planProtectedDisable(
+      ["firestore.googleapis.com"],
+      null,
+      [],
+      PROTECTED_POLICY_REFUSE
+    );
+    assert.deepStrictEqual(unprotected.apis, ["firestore.googleapis.com"]);
+  });
+});
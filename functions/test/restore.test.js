@@ -0,0 +1,63 @@
+import assert from "assert";
+import { RESTORE_RELEASED_CLAIMS } from "../restore.js";
+import {
+  isClaimed,
+  withoutClaims,
+  BUDGET_ALERTS_STATE_DOC,
+  ACTION_TIERS_STATE_DOC,
+  BURN_RATE_STATE_DOC,
+  BURN_RATE_LIMIT_CLAIM_KEY,
+  STOP_CLAIM_KEY,
+} from "../state.js";
+
+const PERIOD_KEY = "2024-03-01T08:00:00.000Z";
+
+/**
+ * @param {string} docId - The state document.
+ * @param {object} data - The state document data.
+ * @returns {object} The data after a restore released its claims.
+ */
+const restore = (docId, data) =>
+  withoutClaims(
+    data,
+    RESTORE_RELEASED_CLAIMS.find((claims) => claims.docId === docId).matches,
+  );
+
+describe("Restore", () => {
+  it("lets the next alert stop a restored project again", () => {
+    const stopped = {
+      periodKey: PERIOD_KEY,
+      claimed: {
+        [STOP_CLAIM_KEY]: { fraction: 1 },
+        "forecast:partial": {},
+        "warning:0.5": {},
+      },
+    };
+    assert.strictEqual(isClaimed(stopped, PERIOD_KEY, STOP_CLAIM_KEY), true);
+
+    const restored = restore(BUDGET_ALERTS_STATE_DOC, stopped);
+    assert.strictEqual(isClaimed(restored, PERIOD_KEY, STOP_CLAIM_KEY), false);
+    assert.strictEqual(
+      isClaimed(restored, PERIOD_KEY, "forecast:partial"),
+      false,
+    );
+    // Warnings only notify, so they are not repeated after a restore
+    assert.strictEqual(isClaimed(restored, PERIOD_KEY, "warning:0.5"), true);
+  });
+
+  it("releases every action tier", () => {
+    const restored = restore(ACTION_TIERS_STATE_DOC, {
+      periodKey: PERIOD_KEY,
+      claimed: { "0.5:warn": {}, "1:disable_billing": {} },
+    });
+    assert.deepStrictEqual(restored.claimed, {});
+  });
+
+  it("keeps the burn rate spike warnings", () => {
+    const restored = restore(BURN_RATE_STATE_DOC, {
+      periodKey: PERIOD_KEY,
+      claimed: { [BURN_RATE_LIMIT_CLAIM_KEY]: {}, "spike:firestore": {} },
+    });
+    assert.deepStrictEqual(Object.keys(restored.claimed), ["spike:firestore"]);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "assert";
+import { isTransientError, isRetryableError, withRetry } from "../retry.js";
+import {
+  summarizeResults,
+  assertNoCriticalFailures,
+  STEP_SUCCEEDED,
+  STEP_FAILED,
+  STEP_ALREADY_DISABLED,
+} from "../disable-results.js";
+
+const noWait = async () => {};
+
+/**
+ * @param {number} code gRPC status code
+ * @returns {Error} an error as thrown by the Google Cloud clients
+ */
+const grpcError = (code) => Object.assign(new Error(`code ${code}`), { code });
+
+describe("Retry", () => {
+  it("recognizes transient errors", () => {
+    assert.strictEqual(isTransientError(grpcError(14)), true);
+    assert.strictEqual(isTransientError(grpcError(4)), true);
+    assert.strictEqual(isTransientError({ response: { status: 429 } }), true);
+    assert.strictEqual(isTransientError({ response: { status: 503 } }), true);
+    assert.strictEqual(isTransientError(grpcError(7)), false);
+    assert.strictEqual(isTransientError({ response: { status: 403 } }), false);
+    assert.strictEqual(isTransientError(undefined), false);
+  });
+
+  it("retries transient and marked errors only", () => {
+    assert.strictEqual(isRetryableError(grpcError(14)), true);
+    assert.strictEqual(
+      isRetryableError(Object.assign(new Error(), { retryable: true })),
+      true
+    );
+    assert.strictEqual(isRetryableError(grpcError(7)), false);
+    assert.strictEqual(isRetryableError(new Error("Invalid tiers")), false);
+  });
+
+  it("retries transient errors until the call succeeds", async () => {
+    let calls = 0;
+    const { result, attempts } = await withRetry(
+      async () => {
+        calls++;
+        if (calls < 3) throw grpcError(14);
+        return "done";
+      },
+      { wait: noWait }
+    );
+    assert.strictEqual(result, "done");
+    assert.strictEqual(attempts, 3);
+  });
+
+  it("throws other errors immediately", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          calls++;
+          throw grpcError(7);
+        },
+        { wait: noWait }
+      ),
+      (error) => error.attempts === 1
+    );
+    assert.strictEqual(calls, 1);
+  });
+
+  it("gives up after the last retry", async () => {
+    const delays = [];
+    await assert.rejects(
+      withRetry(
+        async () => {
+          throw grpcError(8);
+        },
+        { retries: 2, baseDelayMs: 100, wait: async (ms) => delays.push(ms) }
+      ),
+      (error) => error.attempts === 3
+    );
+    assert.strictEqual(delays.length, 2);
+    assert.ok(delays[0] >= 50 && delays[0] <= 100);
+    assert.ok(delays[1] >= 100 && delays[1] <= 200);
+  });
+});
+
+describe("Disable results", () => {
+  const results = [
+    { target: "billing", status: STEP_SUCCEEDED, critical: true },
+    { target: "a", status: STEP_ALREADY_DISABLED, critical: false },
+    { target: "b", status: STEP_FAILED, critical: false, error: "denied" },
+  ];
+
+  it("summarizes the results", () => {
+    assert.deepStrictEqual(summarizeResults(results), {
+      succeeded: 1,
+      failed: 1,
+      alreadyDisabled: 1,
+      criticalFailures: [],
+    });
+  });
+
+  it("fails on critical failures, retryable only when transient", () => {
+    const critical = {
+      action: "disable_service",
+      target: "c",
+      status: STEP_FAILED,
+      critical: true,
+    };
+    assertNoCriticalFailures(results);
+    assert.throws(
+      () =>
+        assertNoCriticalFailures([
+          ...results,
+          { ...critical, error: "denied", transient: false },
+        ]),
+      (error) =>
+        /disable_service c \(denied\)/.test(error.message) &&
+        error.retryable === false
+    );
+    assert.throws(
+      () =>
+        assertNoCriticalFailures([
+          ...results,
+          { ...critical, error: "unavailable", transient: true },
+        ]),
+      (error) =>
+        /disable_service c \(unavailable\)/.test(error.message) &&
+        error.retryable === true
+    );
+  });
+});
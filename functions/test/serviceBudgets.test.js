@@ -0,0 +1,43 @@
+import assert from "assert";
+import {
+  parseServiceBudgets,
+  getExceededServiceBudgets,
+} from "../monitoring/serviceBudgets.js";
+
+const SERVICE_KEYS = ["firestore", "hosting", "storage"];
+
+describe("Service budgets", () => {
+  it("parses per-service budgets", () => {
+    assert.deepStrictEqual(
+      parseServiceBudgets("firestore:50, hosting:20", SERVICE_KEYS),
+      { firestore: 50, hosting: 20 },
+    );
+    assert.deepStrictEqual(parseServiceBudgets("", SERVICE_KEYS), {});
+  });
+
+  it("rejects unknown services and invalid amounts", () => {
+    assert.throws(
+      () => parseServiceBudgets("bigquery:10", SERVICE_KEYS),
+      /service must be one of/,
+    );
+    assert.throws(
+      () => parseServiceBudgets("hosting:0", SERVICE_KEYS),
+      /positive number/,
+    );
+  });
+
+  it("returns only the services over their own budget", () => {
+    const services = {
+      firestore: { totalCost: 30 },
+      hosting: { totalCost: 25 },
+    };
+    assert.deepStrictEqual(
+      getExceededServiceBudgets(services, {
+        firestore: 50,
+        hosting: 20,
+        storage: 5,
+      }),
+      [{ key: "hosting", cost: 25, budget: 20 }],
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import assert from "assert";
+import {
+  runOncePerPeriod,
+  STOP_CLAIM_KEY,
+  FORECAST_STATE_DOC,
+} from "../state.js";
+import {
+  assertNoCriticalFailures,
+  STEP_FAILED,
+  STEP_SUCCEEDED,
+} from "../disable-results.js";
+
+const PERIOD_KEY = "2024-03-01T08:00:00.000Z";
+const CLAIM = {
+  docId: "budgetAlerts",
+  periodKey: PERIOD_KEY,
+  key: STOP_CLAIM_KEY,
+};
+
+/**
+ * @returns {object} Claims kept in memory, in place of the state store.
+ */
+const memoryStore = () => {
+  const claimed = new Set();
+  const id = (docId, periodKey, key) => `${docId}/${periodKey}/${key}`;
+  return {
+    claim: async (...args) => {
+      if (claimed.has(id(...args))) return false;
+      claimed.add(id(...args));
+      return true;
+    },
+    release: async (...args) => {
+      claimed.delete(id(...args));
+    },
+  };
+};
+
+/**
+ * @param {object} step - Overrides of the billing step.
+ * @returns {function(): Promise} A disable which checks its single step.
+ */
+const disable = (step) => async () =>
+  assertNoCriticalFailures([
+    {
+      action: "disable_billing",
+      target: "shop",
+      critical: true,
+      ...step,
+    },
+  ]);
+
+describe("State", () => {
+  it("retries an action after a permanent failure", async () => {
+    const store = memoryStore();
+    await assert.rejects(
+      runOncePerPeriod(
+        CLAIM,
+        disable({ status: STEP_FAILED, error: "denied", transient: false }),
+        store,
+      ),
+      (error) => error.retryable === false,
+    );
+
+    // Once the permission is granted, the next alert stops the project
+    assert.strictEqual(
+      await runOncePerPeriod(CLAIM, disable({ status: STEP_SUCCEEDED }), store),
+      true,
+    );
+    assert.strictEqual(
+      await runOncePerPeriod(CLAIM, disable({ status: STEP_SUCCEEDED }), store),
+      false,
+    );
+  });
+
+  it("retries the forecast disable after it failed", async () => {
+    const store = memoryStore();
+    const claim = {
+      docId: FORECAST_STATE_DOC,
+      periodKey: PERIOD_KEY,
+      key: "act",
+    };
+    const unavailable = Object.assign(new Error("unavailable"), { code: 14 });
+    await assert.rejects(
+      runOncePerPeriod(
+        claim,
+        async () => {
+          throw unavailable;
+        },
+        store,
+      ),
+      unavailable,
+    );
+
+    let disabled = false;
+    assert.strictEqual(
+      await runOncePerPeriod(
+        claim,
+        async () => {
+          disabled = true;
+        },
+        store,
+      ),
+      true,
+    );
+    assert.strictEqual(disabled, true);
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "assert";
+import {
+  parseActionTiers,
+  getActionTiers,
+  getReachedTiers,
+  getTierKey,
+  ACTION_WARN,
+  ACTION_NOTIFY,
+  ACTION_DISABLE_APIS,
+  ACTION_DISABLE_BILLING,
+} from "../tiers.js";
+
+describe("Action tiers", () => {
+  it("returns no tiers when unconfigured", () => {
+    assert.deepStrictEqual(parseActionTiers(undefined), []);
+    assert.deepStrictEqual(parseActionTiers(" "), []);
+  });
+
+  it("parses and sorts tiers by threshold", () => {
+    const tiers = parseActionTiers(
+      "1.0:disable_billing, 0.5:warn,0.9:disable_apis:firestore.googleapis.com|firebasehosting.googleapis.com,0.8:notify",
+    );
+
+    assert.deepStrictEqual(tiers, [
+      { threshold: 0.5, action: ACTION_WARN, apis: null },
+      { threshold: 0.8, action: ACTION_NOTIFY, apis: null },
+      {
+        threshold: 0.9,
+        action: ACTION_DISABLE_APIS,
+        apis: ["firestore.googleapis.com", "firebasehosting.googleapis.com"],
+      },
+      { threshold: 1.0, action: ACTION_DISABLE_BILLING, apis: null },
+    ]);
+  });
+
+  it("rejects invalid tiers", () => {
+    assert.throws(() => parseActionTiers("abc:warn"), /threshold/);
+    assert.throws(() => parseActionTiers("0.5:explode"), /action/);
+    assert.throws(
+      () => parseActionTiers("0.5:warn:firestore.googleapis.com"),
+      /APIs can only be listed/,
+    );
+  });
+
+  it("falls back to the stop threshold on invalid tiers", () => {
+    assert.deepStrictEqual(getActionTiers("0.5:explode,1.0:disable"), []);
+    assert.strictEqual(getActionTiers("1.0:disable").length, 1);
+  });
+
+  it("returns the tiers reached at a budget fraction", () => {
+    const tiers = parseActionTiers("0.5:warn,0.8:notify,1.0:disable_billing");
+
+    assert.deepStrictEqual(getReachedTiers(tiers, 0.85).map(getTierKey), [
+      "0.5:warn",
+      "0.8:notify",
+    ]);
+    assert.deepStrictEqual(getReachedTiers(tiers, 0.1), []);
+    assert.strictEqual(getReachedTiers(tiers, 1.0).length, 3);
+  });
+});
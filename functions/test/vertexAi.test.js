@@ -0,0 +1,38 @@
+import assert from "assert";
+import { parseTokenPrices, findModelPrice } from "../monitoring/vertexAi.js";
+
+describe("Vertex AI token prices", () => {
+  it("parses per-model prices", () => {
+    assert.deepStrictEqual(
+      parseTokenPrices("gemini-2.0-flash:0.15:0.6, gemini-2.5-pro:1.25:10"),
+      {
+        "gemini-2.0-flash": { input: 0.15, output: 0.6 },
+        "gemini-2.5-pro": { input: 1.25, output: 10 },
+      },
+    );
+    assert.deepStrictEqual(parseTokenPrices(undefined), {});
+  });
+
+  it("rejects invalid entries", () => {
+    assert.throws(
+      () => parseTokenPrices("gemini-2.0-flash:0.15"),
+      /model:input:output/,
+    );
+    assert.throws(() => parseTokenPrices(":0.15:0.6"), /model:input:output/);
+  });
+
+  it("matches the longest model prefix", () => {
+    const prices = parseTokenPrices(
+      "gemini-2.5-flash:0.3:2.5,gemini-2.5-flash-lite:0.1:0.4",
+    );
+    assert.strictEqual(
+      findModelPrice("gemini-2.5-flash-lite-001", prices),
+      "gemini-2.5-flash-lite",
+    );
+    assert.strictEqual(
+      findModelPrice("gemini-2.5-flash-002", prices),
+      "gemini-2.5-flash",
+    );
+    assert.strictEqual(findModelPrice("imagen-3.0", prices), undefined);
+  });
+});
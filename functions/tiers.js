@@ -0,0 +1,107 @@
+// Escalation ladder for budget alerts. Each tier maps a fraction of the
+// budget to an action, e.g.:
+//
+//   0.5:warn,0.8:notify,0.9:disable_apis,1.0:disable_billing
+//
+// `disable_apis` takes an optional list of APIs separated by pipes, e.g.
+// `disable_apis:firestore.googleapis.com|firebasehosting.googleapis.com`,
+// and defaults to DISABLE_API_LIST when it is omitted.
+
+export const ACTION_WARN = "warn";
+export const ACTION_NOTIFY = "notify";
+export const ACTION_DISABLE_APIS = "disable_apis";
+export const ACTION_DISABLE_BILLING = "disable_billing";
+export const ACTION_DISABLE = "disable"; // Runs the full disable strategy
+
+const ACTIONS = [
+  ACTION_WARN,
+  ACTION_NOTIFY,
+  ACTION_DISABLE_APIS,
+  ACTION_DISABLE_BILLING,
+  ACTION_DISABLE,
+];
+
+/**
+ * Parses the action tier configuration.
+ *
+ * @param {string} config - The BUDGET_ACTION_TIERS configuration.
+ * @returns {Array<{threshold: number, action: string, apis: string[]|null}>}
+ * The tiers, sorted by ascending threshold. Empty if none are configured.
+ */
+export const parseActionTiers = (config) => {
+  if (typeof config !== "string" || config.trim().length === 0) return [];
+
+  const tiers = config
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry) => {
+      const [thresholdStr, action, apiStr] = entry
+        .split(":")
+        .map((part) => part.trim());
+
+      const threshold = parseFloat(thresholdStr);
+      if (!isFinite(threshold) || threshold <= 0) {
+        throw new Error(
+          `Invalid action tier "${entry}" - threshold must be a positive number.`,
+        );
+      }
+
+      if (!ACTIONS.includes(action)) {
+        throw new Error(
+          `Invalid action tier "${entry}" - action must be one of: ${ACTIONS.join(", ")}.`,
+        );
+      }
+
+      if (apiStr && action !== ACTION_DISABLE_APIS) {
+        throw new Error(
+          `Invalid action tier "${entry}" - APIs can only be listed for ${ACTION_DISABLE_APIS}.`,
+        );
+      }
+
+      const apis = apiStr
+        ? apiStr
+            .split("|")
+            .map((api) => api.trim())
+            .filter((api) => api.length > 0)
+        : null;
+
+      return { threshold, action, apis };
+    });
+
+  return tiers.sort((a, b) => a.threshold - b.threshold);
+};
+
+/**
+ * Parses the action tiers, without failing on an invalid configuration.
+ * The kill switch must keep working, so an invalid ladder is logged and
+ * the Budget Stop Threshold applies instead.
+ *
+ * @param {string} config - The BUDGET_ACTION_TIERS configuration.
+ * @returns {Array<object>} The tiers returned by parseActionTiers, empty
+ * if none are configured or the configuration is invalid.
+ */
+export const getActionTiers = (config) => {
+  try {
+    return parseActionTiers(config);
+  } catch (error) {
+    console.error(
+      `❌ ${error.message} Ignoring the action tiers, the stop threshold applies instead.`,
+    );
+    return [];
+  }
+};
+
+/**
+ * @param {Array<object>} tiers - Tiers returned by parseActionTiers.
+ * @param {number} fraction - The fraction of the budget spent.
+ * @returns {Array<object>} The tiers reached at the given fraction.
+ */
+export const getReachedTiers = (tiers, fraction) =>
+  tiers.filter((tier) => fraction >= tier.threshold);
+
+/**
+ * @param {object} tier - A tier returned by parseActionTiers.
+ * @returns {string} Identifies the tier in the per-period state.
+ */
+export const getTierKey = (tier) => `${tier.threshold}:${tier.action}`;
@@ -96,6 +96,21 @@ SERVICE_ACCOUNT=$(gcloud iam service-accounts list --format="value(email)" --fil
 gcloud projects add-iam-policy-binding $PROJECT_ID --member="serviceAccount:$SERVICE_ACCOUNT" --role="roles/billing.projectManager" --project=$PROJECT_ID
 gcloud projects add-iam-policy-binding $PROJECT_ID --member="serviceAccount:$SERVICE_ACCOUNT" --role="roles/serviceusage.serviceUsageAdmin" --project=$PROJECT_ID
 
+# Budget notifications carry the billing account and budget as attributes
+ATTRIBUTES="billingAccountId=$BILLING_ID,budgetId=test-budget"
+COST_INTERVAL_START=$(TZ=America/Los_Angeles date +%Y-%m-01T00:00:00%:z)
+
+# Builds a budget notification payload: budget_message <cost> [extra fields]
+budget_message() {
+    echo '{"budgetDisplayName":"'$PROJECT_ID'-budget","costAmount":'$1',"costIntervalStart":"'$COST_INTERVAL_START'","budgetAmount":5.0,"budgetAmountType":"SPECIFIED_AMOUNT","currencyCode":"USD"'$2'}'
+}
+
+# Clears the de-duplication state, so every alert case starts from a fresh
+# billing period instead of finding the claims of an earlier case
+reset_state() {
+    firebase firestore:delete ext-auto-stop-state --recursive --force --project $PROJECT_ID || true
+}
+
 # Publish a message to the pub/sub topic
 MESSAGE='{"budgetDisplayName":"'$PROJECT_ID'-budget","extensionTest":true}'
 gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --project=$PROJECT_ID
@@ -111,8 +126,9 @@ case "$TEST_MODE" in
         echo "TEST 1: [STARTED] - Alert threshold below budget"
         # Send a message to the pub/sub topic to trigger the function
         echo "TEST 1: [RUNNING] - Sending alert for 99% threshold (should not trigger billing shutdown)"
-        MESSAGE='{"budgetDisplayName":"'$PROJECT_ID'-budget","alertThresholdExceeded":0.9,"testMode":1}'
-        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --project=$PROJECT_ID
+        MESSAGE=$(budget_message 4.5 ',"alertThresholdExceeded":0.9,"testMode":1')
+        reset_state
+        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --attribute="$ATTRIBUTES" --project=$PROJECT_ID
 
         sleep 30
 
@@ -129,8 +145,9 @@ case "$TEST_MODE" in
         echo "TEST 2: [STARTED] - Alert threshold equal to budget"
         # Send a message to the pub/sub topic to trigger the function
         echo "TEST 2: [RUNNING] - Sending alert for 100% threshold (should trigger billing shutdown)"
-        MESSAGE='{"budgetDisplayName":"'$PROJECT_ID'-budget","alertThresholdExceeded":1.0,"testMode":2}'
-        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --project=$PROJECT_ID
+        MESSAGE=$(budget_message 5.0 ',"alertThresholdExceeded":1.0,"testMode":2')
+        reset_state
+        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --attribute="$ATTRIBUTES" --project=$PROJECT_ID
         sleep 30
         # Check if project has been stopped
         ACTIVE_BILLING=$(gcloud billing projects describe $PROJECT_ID --format="value(billingAccountName)" --project=$PROJECT_ID)
@@ -145,8 +162,9 @@ case "$TEST_MODE" in
         echo "TEST 3: [STARTED] - No alert threshold in message payload"
         # Send a message to the pub/sub topic to trigger the function
         echo "TEST 3: [RUNNING] - Sending alert with no threshold (should not trigger billing shutdown)"
-        MESSAGE='{"budgetDisplayName":"'$PROJECT_ID'-budget","testMode":3}'
-        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --project=$PROJECT_ID
+        MESSAGE=$(budget_message 1.0 ',"testMode":3')
+        reset_state
+        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --attribute="$ATTRIBUTES" --project=$PROJECT_ID
 
         sleep 30
 
@@ -163,8 +181,9 @@ case "$TEST_MODE" in
         echo "TEST 4: [STARTED] - Test disable all APIs (some enabled, some not)"
         # Send a message to the pub/sub topic to trigger the function
         echo "TEST 4: [RUNNING] - Sending alert with threshold to trigger disable"
-        MESSAGE='{"budgetDisplayName":"'$PROJECT_ID'-budget","alertThresholdExceeded":1.0,"testMode":4}'
-        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --project=$PROJECT_ID
+        MESSAGE=$(budget_message 5.0 ',"alertThresholdExceeded":1.0,"testMode":4')
+        reset_state
+        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --attribute="$ATTRIBUTES" --project=$PROJECT_ID
 
         sleep 30
 
@@ -219,8 +238,9 @@ case "$TEST_MODE" in
         
         # Send a message to the pub/sub topic to trigger the function
         echo "TEST 5: [RUNNING] - Sending alert with threshold to trigger disable"
-        MESSAGE='{"budgetDisplayName":"'$PROJECT_ID'-budget","alertThresholdExceeded":1.0,"testMode":4}'
-        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --project=$PROJECT_ID
+        MESSAGE=$(budget_message 5.0 ',"alertThresholdExceeded":1.0,"testMode":4')
+        reset_state
+        gcloud pubsub topics publish ext-firebase-trigger-auto-stop --message="$MESSAGE" --attribute="$ATTRIBUTES" --project=$PROJECT_ID
 
         sleep 30
 